@@ -3,12 +3,15 @@ import session from 'express-session';
 import connectPgSimple from 'connect-pg-simple';
 import pg from 'pg';
 import multer from 'multer';
+import QRCode from 'qrcode';
+import sharp from 'sharp';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
-import { writeFile, readFile, readdir, unlink, mkdir, rename } from 'fs/promises';
-import { existsSync } from 'fs';
+import { writeFile, readFile, readdir, unlink, mkdir, rename, stat } from 'fs/promises';
+import { existsSync, mkdirSync, openSync, writeSync, fsyncSync, closeSync, readFileSync, appendFileSync, renameSync, unlinkSync } from 'fs';
 import { networkInterfaces } from 'os';
-import { createHash, randomBytes } from 'crypto';
+import { createHash, createHmac, randomBytes, scrypt, timingSafeEqual } from 'crypto';
+import { promisify } from 'util';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -17,6 +20,80 @@ const PORT = process.env.PORT || 5000;
 const SNAPSHOT_INTERVAL_SEC = parseInt(process.env.SNAPSHOT_INTERVAL_SEC) || 120;
 const SNAPSHOT_DIR = process.env.SNAPSHOT_DIR || './snapshots';
 const SNAPSHOT_MAX_FILES = parseInt(process.env.SNAPSHOT_MAX_FILES) || 30;
+const SNAPSHOT_SCHEMA_VERSION = 2;
+const JOURNAL_FILE = join(SNAPSHOT_DIR, 'journal.jsonl');
+const JOURNAL_PENDING_FILE = `${JOURNAL_FILE}.pending`;
+const UNDO_WINDOW_SEC = parseInt(process.env.UNDO_WINDOW_SEC) || 60;
+const MAX_ROUND_SIZE = 50;
+const PASSCODE_MAX_ATTEMPTS = parseInt(process.env.PASSCODE_MAX_ATTEMPTS) || 5;
+const PASSCODE_LOCKOUT_SEC = parseInt(process.env.PASSCODE_LOCKOUT_SEC) || 15 * 60;
+const SCRYPT_KEY_LENGTH = 64;
+const CLAIM_TOKEN_TTL_SEC = 10 * 60;
+const JOIN_INVITE_TTL_MIN = parseInt(process.env.JOIN_INVITE_TTL_MIN) || 60;
+const JOIN_INVITE_MAX_TTL_MIN = 24 * 60;
+const QR_FORMATS = ['svg', 'png'];
+const EXPORT_FORMATS = ['csv', 'json', 'ndjson'];
+const EXPORT_TIMEZONE = process.env.EXPORT_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone;
+const AVATAR_SIZE = 256; // px, avatars are square
+const AVATAR_SWEEP_INTERVAL_SEC = parseInt(process.env.AVATAR_SWEEP_INTERVAL_SEC) || 60 * 60;
+// Uploads younger than this may belong to someone still filling in the join form
+const AVATAR_ORPHAN_MIN_AGE_SEC = 60 * 60;
+// Image formats accepted as avatars, recognized by their first bytes (null matches any byte)
+const AVATAR_SIGNATURES = {
+  jpeg: [0xFF, 0xD8, 0xFF],
+  png: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A],
+  gif: [0x47, 0x49, 0x46, 0x38],
+  webp: [0x52, 0x49, 0x46, 0x46, null, null, null, null, 0x57, 0x45, 0x42, 0x50]
+};
+// Address phones should use to reach the server (defaults to the LAN address)
+const PUBLIC_URL = (process.env.PUBLIC_URL || '').replace(/\/+$/, '');
+
+// Roles, each allowed everything the ones before it may do:
+//   guest     - log their own drinks, join, predict, see the dashboard
+//   bartender - log drinks for anyone, rounds, corrections, the tab and BAC overview
+//   admin     - settings, deletes, nights, snapshots and roles
+const ROLES = ['guest', 'bartender', 'admin'];
+const BAC_WARNING_THRESHOLD = parseFloat(process.env.BAC_WARNING_THRESHOLD) || 0.5; // ‰, default for every night
+const STANDARD_DRINK_GRAMS = parseFloat(process.env.STANDARD_DRINK_GRAMS) || 10; // grams of pure alcohol
+const DEFAULT_CURRENCY = process.env.CURRENCY || 'EUR';
+const AWARD_LANGUAGES = ['de', 'en'];
+const DEFAULT_AWARD_LANGUAGE = AWARD_LANGUAGES.includes(process.env.AWARD_LANGUAGE) ? process.env.AWARD_LANGUAGE : 'de';
+const AWARD_STANDINGS_DELAY_MS = parseInt(process.env.AWARD_STANDINGS_DELAY_MS) || 2000;
+const PREDICTION_SCORING_MODES = ['latest', 'before-lock'];
+const MAX_LATE_PENALTY_PER_HOUR = 100; // drinks
+const RANGE_BET_POINTS = 10; // for hitting the exact count; wider ranges earn less
+const FAVOURITE_DRINK_BET_POINTS = 5;
+const FIRST_TO_BET_POINTS = 5;
+const FIRST_TO_DEFAULT_THRESHOLD = 5; // drinks
+const FIRST_TO_MAX_THRESHOLD = 50;
+// Leaderboard points (see computeLeaderboard)
+const SCORING_RULES = {
+  maxPredictionPoints: 10, // for a prediction that is spot on
+  halfLifeDrinks: 2, // points halve with every this many drinks a prediction is off
+  exactHitBonus: 5, // on top of maxPredictionPoints for an exact hit
+  missingPredictionPenalty: 3, // for every other participant not predicted
+  maxSelfEstimatePoints: 10 // for an exact self-estimate, halving the same way
+};
+
+// Widmark formula constants
+const ETHANOL_DENSITY = 0.789; // g/ml
+const BAC_ELIMINATION_PER_HOUR = 0.15; // ‰ per hour
+const WIDMARK_FACTORS = { male: 0.68, female: 0.55, unknown: 0.6 };
+const BAC_CURVE_STEP_MS = 5 * 60 * 1000;
+
+// Suggested drink categories (drinks may also use their own); drinks without one count as "Other"
+const DRINK_CATEGORIES = [
+  { name: 'Beer', emoji: '🍺', color: '#F59E0B' },
+  { name: 'Wine', emoji: '🍷', color: '#DC2626' },
+  { name: 'Spirits', emoji: '🥃', color: '#D97706' },
+  { name: 'Cocktails', emoji: '🍸', color: '#EC4899' },
+  { name: 'Non-alcoholic', emoji: '🥤', color: '#10B981' }
+];
+const UNCATEGORIZED = { name: 'Other', emoji: '🍶', color: '#6B7280' };
+const STATS_GROUPINGS = ['drink', 'category'];
+const STATS_BUCKETS = { '1m': 60 * 1000, '5m': 5 * 60 * 1000, '15m': 15 * 60 * 1000, '1h': 60 * 60 * 1000 };
+const MAX_STATS_BUCKETS = 1440; // per /api/stats request, e.g. a day of 1m buckets
+const SHARED_SERIES = { key: 'shared', label: 'Shared' }; // /api/stats?groupBy=participant series for drinks without a participant
 const SESSION_SECRET_FILE = './.session-secret';
 
 // Get or generate a stable session secret
@@ -75,6 +152,11 @@ pgPool.on('error', (err) => {
 const app = express();
 app.use(express.json());
 
+// Behind a reverse proxy, trust it for client IPs (used for the passcode lockout)
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
 // Configure session middleware with PostgreSQL store
 const PgSession = connectPgSimple(session);
 app.use(session({
@@ -109,25 +191,19 @@ if (!existsSync(uploadsDir)) {
   }
 }
 
-// Configure multer for avatar uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, join(__dirname, 'uploads/avatars'));
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    const ext = file.originalname.split('.').pop();
-    cb(null, `avatar-${uniqueSuffix}.${ext}`);
-  }
+// Avatar uploads are checked and re-encoded from memory before anything is written
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 } // 5MB limit
 });
 
-const upload = multer({
-  storage,
-  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
+// Snapshot imports are parsed straight from memory
+const snapshotUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
   fileFilter: (req, file, cb) => {
-    // Accept images only
-    if (!file.mimetype.startsWith('image/')) {
-      return cb(new Error('Only image files are allowed'));
+    if (!file.originalname.toLowerCase().endsWith('.json') && file.mimetype !== 'application/json') {
+      return cb(new Error('Only JSON snapshot files are allowed'));
     }
     cb(null, true);
   }
@@ -136,25 +212,103 @@ const upload = multer({
 // In-memory state
 let state = {
   drinks: [
-    { name: 'Beer', emoji: '🍺', color: '#F59E0B' },
-    { name: 'Wine', emoji: '🍷', color: '#DC2626' },
-    { name: 'Whisky', emoji: '🥃', color: '#D97706' },
-    { name: 'Cocktail', emoji: '🍸', color: '#EC4899' },
-    { name: 'Longdrink', emoji: '🍹', color: '#06B6D4' },
-    { name: 'Sparkling', emoji: '🥂', color: '#FBBF24' }
-  ],
-  consumptions: [],
-  events: [],
-  participants: [],
-  predictions: [],
-  eventSettings: {
-    passcodeHash: null,
-    predictionsLocked: false
-  }
+    { name: 'Beer', emoji: '🍺', color: '#F59E0B', volumeMl: 500, abv: 5, category: 'Beer' },
+    { name: 'Wine', emoji: '🍷', color: '#DC2626', volumeMl: 150, abv: 12, category: 'Wine' },
+    { name: 'Whisky', emoji: '🥃', color: '#D97706', volumeMl: 40, abv: 40, category: 'Spirits' },
+    { name: 'Cocktail', emoji: '🍸', color: '#EC4899', volumeMl: 200, abv: 12, category: 'Cocktails' },
+    { name: 'Longdrink', emoji: '🍹', color: '#06B6D4', volumeMl: 300, abv: 6, category: 'Cocktails' },
+    { name: 'Sparkling', emoji: '🥂', color: '#FBBF24', volumeMl: 100, abv: 11, category: 'Wine' }
+  ].map((drink, index) => ({ ...drink, order: index, archivedAt: null })),
+  nights: [], // Each night holds its own consumptions, events, participants, predictions and eventSettings
+  activeNightId: null,
+  auth: createAuth()
 };
 
-// SSE clients - track connection and auth status
-let sseClients = []; // Array of { res, isAuthenticated }
+// Failed passcode attempts per IP address: { count, lockedUntil, lastAt }
+// (the same is kept per session in req.session.passcodeFailures)
+const passcodeFailuresByIp = new Map();
+
+// Claim tokens already used to move a participant to another device: nonce -> expiresAt
+const usedClaimNonces = new Map();
+
+// One-time token for resetting the admin passcode; printed to the console at startup
+let passcodeResetToken = generateId();
+
+// SSE clients - track connection, role and the night they follow
+let sseClients = []; // Array of { res, role, nightId, lang }
+
+// Helper: Create an empty night
+function createNight(name) {
+  return {
+    id: generateId(),
+    name,
+    createdAt: new Date().toISOString(),
+    archivedAt: null,
+    consumptions: [],
+    events: [],
+    participants: [],
+    predictions: [],
+    eventSettings: {
+      predictionsLocked: false,
+      predictionsLockAt: null, // scheduled auto-lock
+      predictionsLockedAt: null // when predictions were last locked
+    }
+  };
+}
+
+// Helper: Get the night new data is recorded into
+function getActiveNight() {
+  return state.nights.find(n => n.id === state.activeNightId);
+}
+
+// Helper: Resolve the night a read request is about (?night=<id>, defaults to the active night)
+function getRequestedNight(req) {
+  if (!req.query.night) {
+    return getActiveNight();
+  }
+  return state.nights.find(n => n.id === req.query.night);
+}
+
+// Helper: Night metadata without the heavy collections
+function getNightSummary(night) {
+  return {
+    id: night.id,
+    name: night.name,
+    createdAt: night.createdAt,
+    archivedAt: night.archivedAt,
+    active: night.id === state.activeNightId,
+    counts: {
+      consumptions: night.consumptions.length,
+      events: night.events.length,
+      participants: night.participants.length,
+      predictions: night.predictions.length
+    }
+  };
+}
+
+// Helper: Make a night the active one and tell clients to reload
+async function switchNight(night) {
+  state.activeNightId = night.id;
+  await persistSetting('activeNightId');
+  schedulePredictionsLock();
+  broadcastSSE('night-switched', getNightSummary(night));
+  
+  // Clients following the active night now see the new night's stats
+  broadcastSSE('stats', getStatsSignal());
+}
+
+// Helper: Tell clients the whole state was replaced
+function broadcastRestore() {
+  schedulePredictionsLock();
+  broadcastSSE('state-restored', getNightSummary(getActiveNight()));
+  
+  broadcastSSE('stats', getStatsSignal());
+}
+
+// Helper: Default name for a new night
+function getDefaultNightName() {
+  return `Night of ${new Date().toISOString().slice(0, 10)}`;
+}
 
 // Helper: Get LAN IPv4 address
 function getLanIp() {
@@ -170,24 +324,155 @@ function getLanIp() {
   return 'localhost';
 }
 
+// Helper: Address phones use to reach the server
+function getPublicBaseUrl() {
+  return PUBLIC_URL || `http://${getLanIp()}:${PORT}`;
+}
+
+// Helper: Join URL for the QR codes, through a one-time invite if one is given
+function getJoinUrl(invite) {
+  return `${getPublicBaseUrl()}/join${invite ? `/${invite.token}` : ''}`;
+}
+
+// Helper: Send a QR code for a URL as SVG or PNG, drawn here rather than by an outside service
+async function sendQrCode(res, url, format) {
+  res.set('Cache-Control', 'no-store');
+  if (format === 'png') {
+    res.type('png').send(await QRCode.toBuffer(url, { width: 512, margin: 2, errorCorrectionLevel: 'M' }));
+  } else {
+    res.type('svg').send(await QRCode.toString(url, { type: 'svg', margin: 2, errorCorrectionLevel: 'M' }));
+  }
+}
+
+// Helper: A participant name without stray whitespace ("Tom " is "Tom")
+function cleanName(name) {
+  return String(name).normalize('NFC').replace(/\s+/g, ' ').trim();
+}
+
+// Helper: Participant of a night going by a name, ignoring case and whitespace
+function findParticipantByName(night, name, exceptId) {
+  const key = cleanName(name).toLowerCase();
+  return night.participants.find(p => p.id !== exceptId && cleanName(p.name).toLowerCase() === key) || null;
+}
+
+// Helper: Which accepted image format a file is, from its first bytes (null if none)
+function getImageType(buffer) {
+  return Object.keys(AVATAR_SIGNATURES).find(type => {
+    const signature = AVATAR_SIGNATURES[type];
+    return buffer.length >= signature.length && signature.every((byte, i) => byte === null || buffer[i] === byte);
+  }) || null;
+}
+
+// Helper: Square avatar thumbnail as JPEG, cropped around the most interesting part
+// Orientation from EXIF is applied first; the metadata itself is not carried over.
+function createAvatarThumbnail(buffer) {
+  return sharp(buffer)
+    .rotate()
+    .resize(AVATAR_SIZE, AVATAR_SIZE, { fit: 'cover', position: 'attention' })
+    .flatten({ background: '#ffffff' })
+    .jpeg({ quality: 85, mozjpeg: true })
+    .toBuffer();
+}
+
+// Helper: Delete uploaded avatars no participant uses any more, in the current state or a snapshot
+async function sweepOrphanedAvatars() {
+  try {
+    const referenced = new Set();
+    const collect = text => {
+      for (const match of text.matchAll(/\/uploads\/avatars\/([\w.-]+)/g)) {
+        referenced.add(match[1]);
+      }
+    };
+    state.nights.forEach(night => night.participants.forEach(p => collect(p.avatar || '')));
+    for (const name of await listSnapshots()) {
+      collect(await readFile(join(SNAPSHOT_DIR, name), 'utf8'));
+    }
+    
+    const cutoff = Date.now() - AVATAR_ORPHAN_MIN_AGE_SEC * 1000;
+    let removed = 0;
+    for (const file of await readdir(uploadsDir)) {
+      if (!file.startsWith('avatar-') || referenced.has(file)) continue;
+      const path = join(uploadsDir, file);
+      if ((await stat(path)).mtimeMs < cutoff) {
+        await unlink(path);
+        removed++;
+      }
+    }
+    if (removed > 0) {
+      console.log(`🧹 Removed ${removed} unused avatar${removed === 1 ? '' : 's'}`);
+    }
+  } catch (err) {
+    console.error('❌ Avatar sweep failed:', err.message);
+  }
+}
+
+// Helper: A round without participant ids, for clients that may not see them
+function getAnonymousRound(round) {
+  const { paidBy, ...anonymous } = round;
+  anonymous.consumptions = round.consumptions.map(({ participantId, paidBy, ...consumption }) => consumption);
+  return anonymous;
+}
+
 // Helper: Broadcast SSE event
 function broadcastSSE(event, data) {
-  // Sensitive events that should only go to authenticated clients
-  const sensitiveEvents = ['participant-added', 'participant-updated', 'participant-removed', 'prediction-added', 'prediction-updated'];
-  const isSensitive = sensitiveEvents.includes(event);
+  // Sensitive events only go to clients with at least this role
+  const sensitiveEvents = {
+    'participant-added': 'bartender',
+    'participant-updated': 'bartender',
+    'participant-removed': 'bartender',
+    'participant-merged': 'bartender',
+    'bac-warning': 'bartender',
+    'prediction-added': 'admin',
+    'prediction-updated': 'admin',
+    'awards-config-changed': 'admin',
+    'prediction-scoring-changed': 'admin'
+  };
+  const requiredRole = sensitiveEvents[event];
+  const consumptionEvents = ['consumption', 'consumption-updated', 'consumption-removed'];
+  const roundEvents = ['round', 'round-removed'];
+  // Events about the drink catalog or the nights themselves concern every client
+  const globalEvents = ['drink-added', 'drink-updated', 'drink-removed', 'night-created', 'night-switched', 'night-archived', 'state-restored'];
+  const isGlobal = globalEvents.includes(event);
+  
+  // Anything that can move the award standings
+  const awardEvents = [...consumptionEvents, ...roundEvents, 'prediction-added', 'prediction-updated', 'participant-added', 'participant-updated', 'participant-removed', 'participant-merged', 'awards-config-changed', 'prediction-scoring-changed', 'predictions-lock-changed', 'night-switched', 'state-restored'];
+  if (awardEvents.includes(event)) {
+    scheduleAwardStandings();
+  }
   
   sseClients.forEach(client => {
     try {
-      // Skip sensitive events for unauthenticated clients
-      if (isSensitive && !client.isAuthenticated) {
+      // Skip sensitive events for clients without the role for them
+      if (requiredRole && !hasRole(client.role, requiredRole)) {
         return;
       }
       
-      // For consumption events, filter participantId for unauthenticated clients
+      // Only bartenders and admins see who drank what
+      const seesParticipants = hasRole(client.role, 'bartender');
+      
+      // Clients browsing a past night only get global events
+      if (!isGlobal && client.nightId && client.nightId !== state.activeNightId) {
+        return;
+      }
+      
+      // For consumption events, filter participantId for everyone else
       let eventData = data;
-      if (event === 'consumption' && !client.isAuthenticated && data.participantId) {
+      if (consumptionEvents.includes(event) && !seesParticipants && data.participantId) {
         eventData = { ...data };
         delete eventData.participantId;
+        delete eventData.paidBy;
+      }
+      
+      // Rounds name everyone in them and who paid; anonymise them the same way
+      if (roundEvents.includes(event) && !seesParticipants) {
+        eventData = getAnonymousRound(data);
+      }
+      
+      // Award standings are computed per language in use; send each client its own,
+      // cut down to what its role may see
+      if (event === 'awards-standings') {
+        const standings = data[client.lang];
+        eventData = { ...standings, awards: standings.awards.map(award => filterAwardForRole(award, client.role)) };
       }
       
       const message = `event: ${event}\ndata: ${JSON.stringify(eventData)}\n\n`;
@@ -198,66 +483,153 @@ function broadcastSSE(event, data) {
   });
 }
 
-// Helper: Aggregate stats for last 60 minutes (minute buckets)
-function getAggregatedStats() {
-  const now = Date.now();
-  const sixtyMinutesAgo = now - 60 * 60 * 1000;
+// Helper: Category a drink counts towards (also for drinks that no longer exist)
+function getDrinkCategory(drinkName) {
+  const drink = state.drinks.find(d => d.name === drinkName);
+  return (drink && drink.category) || UNCATEGORIZED.name;
+}
+
+// Helper: Categories in use plus the suggested ones, with the drinks in each
+function getDrinkCategories() {
+  const categories = new Map(DRINK_CATEGORIES.map(c => [c.name, { ...c, drinks: [] }]));
   
-  // Filter consumptions in last 60 minutes
-  const recentConsumptions = state.consumptions.filter(c => {
-    const timestamp = new Date(c.at).getTime();
-    return timestamp >= sixtyMinutesAgo;
+  getOrderedDrinks(true).forEach(drink => {
+    const name = drink.category || UNCATEGORIZED.name;
+    if (!categories.has(name)) {
+      // Custom categories borrow the look of their first drink
+      const base = name === UNCATEGORIZED.name ? UNCATEGORIZED : { name, emoji: drink.emoji || '', color: drink.color };
+      categories.set(name, { ...base, drinks: [] });
+    }
+    categories.get(name).drinks.push(drink.name);
   });
   
-  // Create minute buckets
-  const buckets = new Map();
+  return Array.from(categories.values());
+}
+
+// Helper: Resolve ?groupBy= (null if the value is unknown)
+function getRequestedGroupBy(req) {
+  const groupBy = req.query.groupBy || 'drink';
+  return STATS_GROUPINGS.includes(groupBy) ? groupBy : null;
+}
+
+// Helper: Re-key per-drink stat buckets (bucket.drinks keeps its name, the keys become categories)
+function regroupStats(stats, groupBy) {
+  if (groupBy !== 'category') {
+    return stats;
+  }
   
-  // Initialize buckets for last 60 minutes
-  for (let i = 0; i < 60; i++) {
-    const bucketTime = now - (i * 60 * 1000);
-    const bucketKey = Math.floor(bucketTime / (60 * 1000));
-    if (!buckets.has(bucketKey)) {
-      buckets.set(bucketKey, {
-        timestamp: new Date(bucketKey * 60 * 1000).toISOString(),
-        drinks: {}
+  return {
+    ...stats,
+    groupBy,
+    buckets: stats.buckets.map(bucket => {
+      const grouped = {};
+      Object.entries(bucket.drinks).forEach(([drinkName, count]) => {
+        const category = getDrinkCategory(drinkName);
+        grouped[category] = (grouped[category] || 0) + count;
       });
-    }
+      return { ...bucket, drinks: grouped };
+    })
+  };
+}
+
+// The series /api/stats can split drinks into: the series every night shows (even at zero),
+// the series a consumption counts towards and, where the key isn't the name, labels to show.
+// Participants are keyed by id, as two of them may share a name (or be called "Shared").
+const STATS_SERIES = {
+  drink: () => ({
+    keys: getOrderedDrinks(true).map(d => d.name),
+    keyOf: c => c.drinkName,
+    labels: {}
+  }),
+  category: () => {
+    const categories = new Map(state.drinks.map(d => [d.name, d.category || UNCATEGORIZED.name]));
+    return {
+      keys: getDrinkCategories().map(c => c.name),
+      keyOf: c => categories.get(c.drinkName) || UNCATEGORIZED.name,
+      labels: {}
+    };
+  },
+  participant: night => {
+    const names = new Map(night.participants.map(p => [p.id, p.name]));
+    return {
+      keys: night.participants.map(p => p.id),
+      keyOf: c => names.has(c.participantId) ? c.participantId : SHARED_SERIES.key,
+      labels: { ...Object.fromEntries(names), [SHARED_SERIES.key]: SHARED_SERIES.label }
+    };
+  }
+};
+
+// Helper: Parse a ?from= or ?to= time (ISO 8601 or epoch milliseconds); undefined if absent, NaN if invalid
+function parseStatsTime(value) {
+  if (value === undefined || value === '') return undefined;
+  return /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+}
+
+// Helper: The span a night's stats cover by default: first to last drink or event, up to now while it is active
+function getNightSpan(night) {
+  const times = [...night.consumptions, ...night.events].map(item => new Date(item.at).getTime());
+  const to = night.id === state.activeNightId
+    ? Date.now()
+    : times.reduce((max, time) => Math.max(max, time), new Date(night.createdAt).getTime());
+  const from = times.reduce((min, time) => Math.min(min, time), to);
+  return { from, to };
+}
+
+// Helper: Drink counts per bucket between two times, every series in every bucket (zero-filled).
+// Buckets start on whole multiples of their size; baseline counts what came before the first one.
+function getStatsSeries(night, { from, to, bucket, groupBy }) {
+  const size = STATS_BUCKETS[bucket];
+  const start = Math.floor(from / size) * size;
+  const { keys: seriesKeys, keyOf, labels } = STATS_SERIES[groupBy](night);
+  const series = new Set(seriesKeys);
+  
+  const buckets = [];
+  for (let time = start; time <= to; time += size) {
+    buckets.push({ timestamp: new Date(time).toISOString(), drinks: {} });
   }
   
-  // Aggregate consumptions into buckets
-  recentConsumptions.forEach(consumption => {
-    const timestamp = new Date(consumption.at).getTime();
-    const bucketKey = Math.floor(timestamp / (60 * 1000));
-    
-    if (buckets.has(bucketKey)) {
-      const bucket = buckets.get(bucketKey);
-      if (!bucket.drinks[consumption.drinkName]) {
-        bucket.drinks[consumption.drinkName] = 0;
-      }
-      bucket.drinks[consumption.drinkName]++;
-    }
+  const baseline = {};
+  night.consumptions.forEach(consumption => {
+    const time = new Date(consumption.at).getTime();
+    if (time > to) return;
+    const key = keyOf(consumption);
+    series.add(key);
+    const counts = time < start ? baseline : buckets[Math.floor((time - start) / size)].drinks;
+    counts[key] = (counts[key] || 0) + 1;
   });
   
-  // Convert to sorted array
-  const sortedBuckets = Array.from(buckets.values())
-    .sort((a, b) => new Date(a.timestamp).getTime() - new Date(b.timestamp).getTime());
+  const keys = Array.from(series);
+  const zeroFill = counts => Object.fromEntries(keys.map(key => [key, counts[key] || 0]));
   
   return {
-    buckets: sortedBuckets,
-    recentEvents: state.events.filter(e => {
-      const timestamp = new Date(e.at).getTime();
-      return timestamp >= sixtyMinutesAgo;
+    groupBy,
+    bucket,
+    from: new Date(start).toISOString(),
+    to: new Date(to).toISOString(),
+    series: keys,
+    labels: Object.fromEntries(keys.map(key => [key, labels[key] ?? key])),
+    baseline: zeroFill(baseline),
+    buckets: buckets.map(b => ({ timestamp: b.timestamp, drinks: zeroFill(b.drinks) })),
+    events: night.events.filter(e => {
+      const time = new Date(e.at).getTime();
+      return time >= start && time <= to;
     })
   };
 }
 
-// Helper: Aggregate ALL historical stats (for cumulative view)
-function getAllHistoricalStats() {
+// Helper: What the stats SSE event carries: just that the night's drinks changed
+// (charts fetch what they show from /api/stats) and how many there are now
+function getStatsSignal(night = getActiveNight()) {
+  return { nightId: night.id, totalDrinks: night.consumptions.length, at: new Date().toISOString() };
+}
+
+// Helper: Aggregate ALL historical stats (every minute bucket of the night, for the report)
+function getAllHistoricalStats(night = getActiveNight(), groupBy = 'drink') {
   // Create minute buckets for ALL consumptions
   const buckets = new Map();
   
   // Aggregate all consumptions into buckets
-  state.consumptions.forEach(consumption => {
+  night.consumptions.forEach(consumption => {
     const timestamp = new Date(consumption.at).getTime();
     const bucketKey = Math.floor(timestamp / (60 * 1000));
     
@@ -279,12 +651,71 @@ function getAllHistoricalStats() {
   const sortedBuckets = Array.from(buckets.values())
     .sort((a, b) => new Date(a.timestamp).getTime() - new Date(b.timestamp).getTime());
   
-  return {
+  return regroupStats({
     buckets: sortedBuckets,
-    allEvents: state.events
+    allEvents: night.events
+  }, groupBy);
+}
+
+// Helper: Everything the end-of-night report shows, in one piece so the report needs no live connection
+function getReport(night, lang) {
+  let cumulative = 0;
+  const timeline = getAllHistoricalStats(night).buckets.map(bucket => {
+    const drinks = Object.values(bucket.drinks).reduce((sum, count) => sum + count, 0);
+    cumulative += drinks;
+    return { timestamp: bucket.timestamp, drinks, cumulative };
+  });
+  
+  const drinksByParticipant = {};
+  const drinkTotals = {};
+  night.consumptions.forEach(c => {
+    drinkTotals[c.drinkName] = (drinkTotals[c.drinkName] || 0) + 1;
+    if (!c.participantId) return;
+    const counts = drinksByParticipant[c.participantId] = drinksByParticipant[c.participantId] || {};
+    counts[c.drinkName] = (counts[c.drinkName] || 0) + 1;
+  });
+  
+  const participants = night.participants
+    .map(p => {
+      const counts = drinksByParticipant[p.id] || {};
+      return {
+        id: p.id,
+        name: p.name,
+        drinks: Object.values(counts).reduce((sum, count) => sum + count, 0),
+        selfEstimate: p.selfEstimate ?? null,
+        byDrink: Object.entries(counts).map(([name, count]) => ({ name, count })).sort((a, b) => b.count - a.count)
+      };
+    })
+    .sort((a, b) => b.drinks - a.drinks || a.name.localeCompare(b.name));
+  
+  return {
+    night: getNightSummary(night),
+    generatedAt: new Date().toISOString(),
+    totalDrinks: night.consumptions.length,
+    sharedDrinks: night.consumptions.filter(c => !c.participantId).length,
+    drinks: Object.entries(drinkTotals).map(([name, count]) => ({ name, count })).sort((a, b) => b.count - a.count),
+    timeline,
+    participants,
+    ...getPredictionMatrix(night),
+    awards: computeAwards(night, lang).filter(award => award.winners.length > 0),
+    events: [...night.events].sort((a, b) => new Date(a.at) - new Date(b.at))
   };
 }
 
+// Helper: The report page as one HTML file with its styles and data built in, for opening offline
+async function getReportBundle(report) {
+  const [page, styles] = await Promise.all([
+    readFile(join(__dirname, 'public', 'report.html'), 'utf8'),
+    readFile(join(__dirname, 'public', 'styles.css'), 'utf8')
+  ]);
+  // Keep a night's text from closing the script tag early
+  const data = JSON.stringify(report).replace(/</g, '\\u003c');
+  return page
+    .replace(/\s*<link [^>]*fonts\.(googleapis|gstatic)\.com[^>]*>/g, '')
+    .replace('<link rel="stylesheet" href="/styles.css">', () => `<style>\n${styles}\n  </style>`)
+    .replace('</head>', () => `  <script>window.REPORT_DATA = ${data};</script>\n</head>`);
+}
+
 // Helper: Save snapshot
 async function saveSnapshot() {
   try {
@@ -293,23 +724,39 @@ async function saveSnapshot() {
       await mkdir(SNAPSHOT_DIR, { recursive: true });
     }
     
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const filename = `snapshot-${timestamp}.json`;
+    // Two snapshots in the same millisecond (e.g. around a restore) must not overwrite each other
+    let time = Date.now();
+    const getFilename = () => `snapshot-${new Date(time).toISOString().replace(/[:.]/g, '-')}.json`;
+    while (existsSync(join(SNAPSHOT_DIR, getFilename()))) {
+      time++;
+    }
+    const filename = getFilename();
     const tempPath = join(SNAPSHOT_DIR, `${filename}.tmp`);
     const finalPath = join(SNAPSHOT_DIR, filename);
     
+    // Serialize and rotate the journal in the same tick, so the rotated journal
+    // covers exactly the changes contained in this snapshot
+    rotateJournal();
+    const data = JSON.stringify({ schemaVersion: SNAPSHOT_SCHEMA_VERSION, ...state }, null, 2);
+    
     // Atomic write: write to temp file, then rename
-    await writeFile(tempPath, JSON.stringify(state, null, 2), 'utf8');
+    await writeFile(tempPath, data, 'utf8');
     await rename(tempPath, finalPath);
     
+    // The snapshot is on disk; once the database has every change too, the
+    // journal records are no longer needed (a failed write is retried in full)
+    await persistQueue;
+    if (!databaseInSync) {
+      await persistFullState();
+    }
+    if (databaseInSync && existsSync(JOURNAL_PENDING_FILE)) {
+      await unlink(JOURNAL_PENDING_FILE);
+    }
+    
     console.log(`✓ Snapshot saved: ${filename}`);
     
     // Cleanup old snapshots
-    const files = await readdir(SNAPSHOT_DIR);
-    const snapshots = files
-      .filter(f => f.startsWith('snapshot-') && f.endsWith('.json'))
-      .sort()
-      .reverse();
+    const snapshots = await listSnapshots();
     
     if (snapshots.length > SNAPSHOT_MAX_FILES) {
       const toDelete = snapshots.slice(SNAPSHOT_MAX_FILES);
@@ -326,6 +773,189 @@ async function saveSnapshot() {
   }
 }
 
+// Snapshot schema versions:
+//   1 - a single night: { drinks, consumptions, events, participants?, predictions?, eventSettings? }
+//   2 - multiple nights: { schemaVersion, drinks, nights, activeNightId, auth }
+// Each migration turns version N into N + 1; parseSnapshot() runs them in order.
+const SNAPSHOT_MIGRATIONS = {
+  1: raw => {
+    // Wrap the single night into one night. The fixed id keeps different
+    // reads of the same snapshot comparable.
+    const night = createNight('Imported night');
+    night.id = 'imported';
+    const consumptions = Array.isArray(raw.consumptions) ? raw.consumptions : [];
+    const firstConsumption = consumptions
+      .map(c => c.at)
+      .sort()[0];
+    if (firstConsumption) {
+      night.createdAt = firstConsumption;
+    }
+    night.consumptions = consumptions;
+    night.events = Array.isArray(raw.events) ? raw.events : [];
+    night.participants = raw.participants || [];
+    night.predictions = raw.predictions || [];
+    night.eventSettings.predictionsLocked = !!(raw.eventSettings && raw.eventSettings.predictionsLocked);
+    
+    return {
+      schemaVersion: 2,
+      drinks: raw.drinks,
+      nights: [night],
+      activeNightId: night.id,
+      auth: { passcodeHash: (raw.eventSettings && raw.eventSettings.passcodeHash) || null }
+    };
+  }
+};
+
+// Helper: Schema version of a parsed snapshot (snapshots from before versioning have none)
+function getSnapshotVersion(raw) {
+  if (Number.isInteger(raw.schemaVersion)) {
+    return raw.schemaVersion;
+  }
+  return Array.isArray(raw.nights) ? 2 : 1;
+}
+
+// Helper: Check a state in the current schema; returns a list of problems
+function validateState(candidate) {
+  const errors = [];
+  const isDate = value => typeof value === 'string' && !isNaN(new Date(value).getTime());
+  const isText = value => typeof value === 'string' && value.trim() !== '';
+  
+  if (!Array.isArray(candidate.drinks)) {
+    errors.push('drinks must be an array');
+  } else {
+    candidate.drinks.forEach((drink, i) => {
+      if (!drink || !isText(drink.name)) errors.push(`drinks[${i}].name is required`);
+    });
+  }
+  
+  if (!Array.isArray(candidate.nights)) {
+    errors.push('nights must be an array');
+    return errors;
+  }
+  
+  candidate.nights.forEach((night, n) => {
+    const at = `nights[${n}]`;
+    if (!night || !isText(night.id)) {
+      errors.push(`${at}.id is required`);
+      return;
+    }
+    if (typeof night.name !== 'string') errors.push(`${at}.name must be a string`);
+    
+    ['consumptions', 'events', 'participants', 'predictions'].forEach(collection => {
+      if (night[collection] !== undefined && !Array.isArray(night[collection])) {
+        errors.push(`${at}.${collection} must be an array`);
+      }
+    });
+    
+    (night.consumptions || []).forEach((c, i) => {
+      if (!c || !isText(c.drinkName)) errors.push(`${at}.consumptions[${i}].drinkName is required`);
+      if (!c || !isDate(c.at)) errors.push(`${at}.consumptions[${i}].at must be a date`);
+    });
+    (night.events || []).forEach((e, i) => {
+      if (!e || typeof e.label !== 'string') errors.push(`${at}.events[${i}].label is required`);
+      if (!e || !isDate(e.at)) errors.push(`${at}.events[${i}].at must be a date`);
+    });
+    (night.participants || []).forEach((p, i) => {
+      if (!p || !isText(p.id) || !isText(p.name)) errors.push(`${at}.participants[${i}] needs an id and a name`);
+    });
+    (night.predictions || []).forEach((p, i) => {
+      if (!p || !isText(p.predictorId) || !isText(p.targetId)) errors.push(`${at}.predictions[${i}] needs predictorId and targetId`);
+      if (p && p.type !== undefined && (typeof p.type !== 'string' || !PREDICTION_TYPES[p.type])) errors.push(`${at}.predictions[${i}].type is unknown`);
+      if (!p || ((p.type || 'drinks') === 'drinks' && (p.predictedDrinks === null || isNaN(Number(p.predictedDrinks))))) errors.push(`${at}.predictions[${i}].predictedDrinks must be a number`);
+      if (p && p.history !== undefined && !Array.isArray(p.history)) errors.push(`${at}.predictions[${i}].history must be an array`);
+    });
+  });
+  
+  // Enough detail to fix a file by hand without flooding the response
+  return errors.slice(0, 20);
+}
+
+// Helper: Migrate and validate a parsed snapshot
+// Returns { state, version, errors }; state is null when the snapshot is unusable.
+function parseSnapshot(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { state: null, version: null, errors: ['Snapshot must be a JSON object'] };
+  }
+  
+  const version = getSnapshotVersion(raw);
+  if (version > SNAPSHOT_SCHEMA_VERSION) {
+    return { state: null, version, errors: [`Snapshot schema version ${version} is newer than this server supports (${SNAPSHOT_SCHEMA_VERSION})`] };
+  }
+  if (version < 1) {
+    return { state: null, version, errors: [`Unknown snapshot schema version ${version}`] };
+  }
+  
+  if (version === 1 && (!Array.isArray(raw.consumptions) || !Array.isArray(raw.events))) {
+    return { state: null, version, errors: ['consumptions and events must be arrays'] };
+  }
+  
+  let migrated = raw;
+  for (let v = version; v < SNAPSHOT_SCHEMA_VERSION; v++) {
+    migrated = SNAPSHOT_MIGRATIONS[v](migrated);
+  }
+  
+  const errors = validateState(migrated);
+  if (errors.length > 0) {
+    return { state: null, version, errors };
+  }
+  
+  // Drinks from before ordering/archiving keep the order they were stored in
+  const drinks = migrated.drinks;
+  drinks.forEach((drink, index) => {
+    if (typeof drink.order !== 'number') drink.order = index;
+    if (drink.archivedAt === undefined) drink.archivedAt = null;
+    if (drink.category === undefined) drink.category = null;
+    if (drink.price === undefined) drink.price = null;
+  });
+  drinks.sort((a, b) => a.order - b.order);
+  
+  const nights = migrated.nights;
+  nights.forEach(night => {
+    // Add defaults for fields older snapshots don't have
+    if (!night.consumptions) night.consumptions = [];
+    if (!night.events) night.events = [];
+    if (!night.participants) night.participants = [];
+    if (!night.predictions) night.predictions = [];
+    if (!night.eventSettings) night.eventSettings = { predictionsLocked: false };
+    if (!night.createdAt) night.createdAt = new Date().toISOString();
+    if (night.archivedAt === undefined) night.archivedAt = null;
+    // Older snapshots stored consumptions and event markers without ids
+    night.consumptions.forEach(c => {
+      if (!c.id) c.id = getContentId(c);
+    });
+    night.events.forEach(e => {
+      if (!e.id) e.id = getContentId(e);
+    });
+  });
+  
+  let activeNightId = migrated.activeNightId;
+  if (!nights.some(n => n.id === activeNightId && !n.archivedAt)) {
+    const openNights = nights.filter(n => !n.archivedAt);
+    activeNightId = openNights.length > 0 ? openNights[openNights.length - 1].id : null;
+  }
+  if (!activeNightId) {
+    const night = createNight(getDefaultNightName());
+    nights.push(night);
+    activeNightId = night.id;
+  }
+  
+  return {
+    state: {
+      drinks,
+      nights,
+      activeNightId,
+      auth: normalizeAuth(migrated.auth)
+    },
+    version,
+    errors: []
+  };
+}
+
+// Helper: Bring a parsed snapshot up to the current state shape (null if unusable)
+function normalizeState(raw) {
+  return parseSnapshot(raw).state;
+}
+
 // Helper: Restore from latest snapshot
 async function restoreSnapshot() {
   try {
@@ -334,13 +964,15 @@ async function restoreSnapshot() {
       return false;
     }
     
-    const files = await readdir(SNAPSHOT_DIR);
-    const snapshots = files
-      .filter(f => f.startsWith('snapshot-') && f.endsWith('.json'))
-      .sort()
-      .reverse();
+    const snapshots = await listSnapshots();
     
     if (snapshots.length === 0) {
+      // A crash before the first snapshot leaves only the journal
+      const replayed = replayJournal();
+      if (replayed > 0) {
+        console.log(`✓ No snapshots found, replayed ${replayed} journal records`);
+        return true;
+      }
       console.log('No snapshots found, starting fresh');
       return false;
     }
@@ -349,25 +981,18 @@ async function restoreSnapshot() {
     const snapshotPath = join(SNAPSHOT_DIR, latestSnapshot);
     
     const data = await readFile(snapshotPath, 'utf8');
-    const restoredState = JSON.parse(data);
+    const restoredState = normalizeState(JSON.parse(data));
     
-    // Validate structure and add defaults for new fields
-    if (restoredState.drinks && restoredState.consumptions && restoredState.events) {
+    if (restoredState) {
       state = restoredState;
       
-      // Add defaults for new fields if they don't exist
-      if (!state.participants) state.participants = [];
-      if (!state.predictions) state.predictions = [];
-      if (!state.eventSettings) {
-        state.eventSettings = {
-          passcodeHash: null,
-          predictionsLocked: false
-        };
-      }
+      // Re-apply what happened after the snapshot was taken
+      const replayed = replayJournal();
+      const night = getActiveNight();
       
-      console.log(`✓ Restored from snapshot: ${latestSnapshot}`);
-      console.log(`  Drinks: ${state.drinks.length}, Consumptions: ${state.consumptions.length}, Events: ${state.events.length}`);
-      console.log(`  Participants: ${state.participants.length}, Predictions: ${state.predictions.length}`);
+      console.log(`✓ Restored from snapshot: ${latestSnapshot}${replayed > 0 ? ` + ${replayed} journal records` : ''}`);
+      console.log(`  Drinks: ${state.drinks.length}, Nights: ${state.nights.length} (active: ${night.name})`);
+      console.log(`  Consumptions: ${night.consumptions.length}, Events: ${night.events.length}, Participants: ${night.participants.length}, Predictions: ${night.predictions.length}`);
       return true;
     } else {
       console.warn(`✗ Invalid snapshot format in ${latestSnapshot}, starting fresh`);
@@ -380,823 +1005,3751 @@ async function restoreSnapshot() {
   }
 }
 
-// Helper: Generate unique ID
-function generateId() {
-  return randomBytes(16).toString('hex');
+// Helper: Snapshot file names, newest first
+async function listSnapshots() {
+  if (!existsSync(SNAPSHOT_DIR)) {
+    return [];
+  }
+  
+  const files = await readdir(SNAPSHOT_DIR);
+  return files
+    .filter(isSnapshotName)
+    .sort()
+    .reverse();
 }
 
-// Helper: Hash passcode
-function hashPasscode(passcode) {
-  return createHash('sha256').update(passcode).digest('hex');
+// Helper: Only names we generate are accepted (also keeps paths inside SNAPSHOT_DIR)
+function isSnapshotName(name) {
+  return /^snapshot-[0-9TZ-]+\.json$/.test(name);
 }
 
-// Helper: Verify passcode
-function verifyPasscode(passcode) {
-  if (!state.eventSettings.passcodeHash) {
-    return false;
-  }
-  const hash = hashPasscode(passcode);
-  return hash === state.eventSettings.passcodeHash;
+// Helper: When a snapshot was taken, from its file name
+function getSnapshotTime(name) {
+  const match = name.match(/^snapshot-(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z\.json$/);
+  return match ? `${match[1]}T${match[2]}:${match[3]}:${match[4]}.${match[5]}Z` : null;
 }
 
-// Helper: Get participant drink count
-function getParticipantDrinkCount(participantId) {
-  return state.consumptions.filter(c => c.participantId === participantId).length;
+// Helper: Read a snapshot in the current state shape (null if unusable)
+async function readSnapshot(name) {
+  const data = await readFile(join(SNAPSHOT_DIR, name), 'utf8');
+  return normalizeState(JSON.parse(data));
 }
 
-// Helper: Compute awards
-function computeAwards() {
-  const participants = state.participants;
-  if (participants.length === 0) {
-    return [];
-  }
-
-  // Build actual drinks map
-  const actualDrinks = {};
-  participants.forEach(p => {
-    actualDrinks[p.id] = getParticipantDrinkCount(p.id);
-  });
-
-  // Build predictions map
-  const predictionsMap = {}; // predictionsMap[predictorId][targetId] = predictedDrinks
-  state.predictions.forEach(pred => {
-    if (!predictionsMap[pred.predictorId]) {
-      predictionsMap[pred.predictorId] = {};
-    }
-    predictionsMap[pred.predictorId][pred.targetId] = pred.predictedDrinks;
-  });
-
-  const awards = [];
-
-  // 1. Kotzstempel: highest actual drinks
-  let maxDrinks = -1;
-  let kotzstempelWinners = [];
-  participants.forEach(p => {
-    const drinks = actualDrinks[p.id];
-    if (drinks > maxDrinks) {
-      maxDrinks = drinks;
-      kotzstempelWinners = [p];
-    } else if (drinks === maxDrinks) {
-      kotzstempelWinners.push(p);
+// Helper: Merge an imported state into the current one
+// Existing records win; participants with the same name in a night are treated as one person.
+// Returns how many records of each kind were added.
+function mergeState(imported) {
+  const added = { drinks: 0, nights: 0, consumptions: 0, events: 0, participants: 0, predictions: 0 };
+  
+  imported.drinks.forEach(drink => {
+    if (!state.drinks.some(d => d.name.toLowerCase() === drink.name.toLowerCase())) {
+      state.drinks.push({ ...drink, order: getNextDrinkOrder() });
+      added.drinks++;
     }
   });
-  if (kotzstempelWinners.length > 0) {
-    awards.push({
-      name: 'Kotzstempel',
-      winners: kotzstempelWinners.map(p => ({ name: p.name, avatar: p.avatar }))
-    });
-  }
-
-  // 2. Spülsüchtigen: best predictor (lowest MAE)
-  const predictorMAE = {};
-  const predictorCoverage = {};
   
-  Object.keys(predictionsMap).forEach(predictorId => {
-    const preds = predictionsMap[predictorId];
-    let totalError = 0;
-    let count = 0;
-    let coveredTargets = 0;
-    
-    participants.forEach(target => {
-      if (typeof actualDrinks[target.id] !== 'undefined') {
-        if (typeof preds[target.id] !== 'undefined') {
-          totalError += Math.abs(preds[target.id] - actualDrinks[target.id]);
-          count++;
-          coveredTargets++;
-        }
+  imported.nights.forEach(importedNight => {
+    const night = state.nights.find(n => n.id === importedNight.id);
+    if (!night) {
+      // New nights are added as they are (but not activated). Empty ones are
+      // skipped - parseSnapshot opens one when a snapshot has no open night.
+      const isEmpty = ['consumptions', 'events', 'participants', 'predictions']
+        .every(collection => importedNight[collection].length === 0);
+      if (isEmpty) {
+        return;
       }
-    });
-    
-    if (count > 0) {
-      predictorMAE[predictorId] = totalError / count;
-      predictorCoverage[predictorId] = coveredTargets / participants.length;
+      state.nights.push(importedNight);
+      added.nights++;
+      return;
     }
-  });
-
-  // Determine minimum coverage threshold
-  let minCoverage = 0.5;
-  const eligiblePredictors = Object.keys(predictorMAE).filter(id => predictorCoverage[id] >= minCoverage);
-  if (eligiblePredictors.length === 0) {
-    minCoverage = 0.33;
-    const eligiblePredictors2 = Object.keys(predictorMAE).filter(id => predictorCoverage[id] >= minCoverage);
-    if (eligiblePredictors2.length === 0) {
-      minCoverage = 0.01; // at least 1 prediction
-    }
-  }
-
-  const eligible = Object.keys(predictorMAE).filter(id => predictorCoverage[id] >= minCoverage);
-  if (eligible.length > 0) {
-    let minMAE = Infinity;
-    let spulsuchtigWinners = [];
     
-    eligible.forEach(predictorId => {
-      const mae = predictorMAE[predictorId];
-      if (mae < minMAE) {
-        minMAE = mae;
-        spulsuchtigWinners = [participants.find(p => p.id === predictorId)];
-      } else if (mae === minMAE) {
-        spulsuchtigWinners.push(participants.find(p => p.id === predictorId));
+    // Map imported participant ids onto existing people with the same name
+    const participantIds = new Map();
+    importedNight.participants.forEach(participant => {
+      const existing = night.participants.find(p => p.id === participant.id) ||
+        night.participants.find(p => p.name.toLowerCase() === participant.name.toLowerCase());
+      if (existing) {
+        participantIds.set(participant.id, existing.id);
+      } else {
+        night.participants.push(participant);
+        participantIds.set(participant.id, participant.id);
+        added.participants++;
       }
     });
+    const mapParticipant = id => (id && participantIds.has(id) ? participantIds.get(id) : id);
     
-    if (spulsuchtigWinners.length > 0) {
-      awards.push({
-        name: 'Spülsüchtigen',
-        winners: spulsuchtigWinners.filter(p => p).map(p => ({ name: p.name, avatar: p.avatar }))
-      });
-    }
-  }
-
-  // 3. Stille Wasser sind tief: hardest to predict (highest crowd MAE)
-  const targetCrowdMAE = {};
-  
-  participants.forEach(target => {
-    let totalError = 0;
-    let count = 0;
-    
-    Object.keys(predictionsMap).forEach(predictorId => {
-      const preds = predictionsMap[predictorId];
-      if (typeof preds[target.id] !== 'undefined' && typeof actualDrinks[target.id] !== 'undefined') {
-        totalError += Math.abs(preds[target.id] - actualDrinks[target.id]);
-        count++;
+    importedNight.consumptions.forEach(consumption => {
+      if (!night.consumptions.some(c => c.id === consumption.id)) {
+        const merged = { ...consumption };
+        if (merged.participantId) merged.participantId = mapParticipant(merged.participantId);
+        night.consumptions.push(merged);
+        added.consumptions++;
       }
     });
+    night.consumptions.sort((a, b) => a.at.localeCompare(b.at));
     
-    if (count >= 2) {
-      targetCrowdMAE[target.id] = totalError / count;
-    }
-  });
-
-  if (Object.keys(targetCrowdMAE).length > 0) {
-    let maxCrowdMAE = -1;
-    let stilleWasserWinners = [];
-    
-    Object.keys(targetCrowdMAE).forEach(targetId => {
-      const crowdMAE = targetCrowdMAE[targetId];
-      if (crowdMAE > maxCrowdMAE) {
-        maxCrowdMAE = crowdMAE;
-        stilleWasserWinners = [participants.find(p => p.id === targetId)];
-      } else if (crowdMAE === maxCrowdMAE) {
-        stilleWasserWinners.push(participants.find(p => p.id === targetId));
+    importedNight.events.forEach(event => {
+      if (!night.events.some(e => e.id === event.id)) {
+        night.events.push(event);
+        added.events++;
       }
     });
+    night.events.sort((a, b) => a.at.localeCompare(b.at));
     
-    if (stilleWasserWinners.length > 0) {
-      awards.push({
-        name: 'Stille Wasser sind tief',
-        winners: stilleWasserWinners.filter(p => p).map(p => ({ name: p.name, avatar: p.avatar }))
-      });
-    }
-  }
-
-  // 4. Schwarzer Peter: worst predictor (highest MAE)
-  if (eligible.length > 0) {
-    let maxMAE = -1;
-    let schwarzerPeterWinners = [];
-    
-    eligible.forEach(predictorId => {
-      const mae = predictorMAE[predictorId];
-      if (mae > maxMAE) {
-        maxMAE = mae;
-        schwarzerPeterWinners = [participants.find(p => p.id === predictorId)];
-      } else if (mae === maxMAE) {
-        schwarzerPeterWinners.push(participants.find(p => p.id === predictorId));
+    importedNight.predictions.forEach(imported => {
+      const prediction = mapPredictionParticipants(imported, mapParticipant);
+      if (prediction.predictorId === prediction.targetId && !getPredictionType(prediction).allowsSelf) {
+        return;
+      }
+      if (!night.predictions.some(p => p.id === prediction.id || isSamePrediction(p, prediction))) {
+        night.predictions.push(prediction);
+        added.predictions++;
       }
     });
-    
-    if (schwarzerPeterWinners.length > 0) {
-      awards.push({
-        name: 'Schwarzer Peter',
-        description: 'Der schlechteste Tippgeber - größte durchschnittliche Abweichung bei allen Vorhersagen.',
-        winners: schwarzerPeterWinners.filter(p => p).map(p => ({ name: p.name, avatar: p.avatar }))
-      });
-    }
-  }
+  });
+  
+  return added;
+}
 
-  // 5. Glückspilz: Lucky Duck - worst self-estimate but made good predictions about others
-  const luckyDuckCandidates = [];
+// Helper: Swap in a new state, keeping the current one as a snapshot so the swap can be undone
+// Returns the name of that backup snapshot.
+async function replaceState(newState) {
+  const backup = await saveSnapshot();
   
-  participants.forEach(participant => {
-    const selfEstimateError = Math.abs(participant.selfEstimate - actualDrinks[participant.id]);
-    const predictions = predictionsMap[participant.id] || {};
+  state = newState;
+  await persistFullState();
+  
+  // The journal belongs to the state we just replaced; a fresh snapshot
+  // makes the new state the newest one and clears the journal
+  await saveSnapshot();
+  
+  broadcastRestore();
+  return backup;
+}
+
+// Helper: Totals over all nights, for the snapshot browser
+function getStateCounts(someState) {
+  const sum = collection => someState.nights.reduce((total, night) => total + night[collection].length, 0);
+  return {
+    drinks: someState.drinks.length,
+    nights: someState.nights.length,
+    consumptions: sum('consumptions'),
+    events: sum('events'),
+    participants: sum('participants'),
+    predictions: sum('predictions')
+  };
+}
+
+// Helper: Compare two versions of a collection by id
+function diffById(beforeItems, afterItems) {
+  const beforeById = new Map(beforeItems.map(item => [item.id, item]));
+  const afterById = new Map(afterItems.map(item => [item.id, item]));
+  
+  return {
+    added: afterItems.filter(item => !beforeById.has(item.id)),
+    removed: beforeItems.filter(item => !afterById.has(item.id)),
+    changed: afterItems.filter(item => beforeById.has(item.id) &&
+      JSON.stringify(beforeById.get(item.id)) !== JSON.stringify(item))
+  };
+}
+
+// Helper: Summarize what changed between two states (only nights that differ are listed)
+function diffStates(before, after) {
+  const beforeDrinks = before.drinks.map(d => d.name);
+  const afterDrinks = after.drinks.map(d => d.name);
+  
+  const nights = [];
+  const nightIds = [...new Set([...before.nights, ...after.nights].map(n => n.id))];
+  
+  nightIds.forEach(id => {
+    const beforeNight = before.nights.find(n => n.id === id);
+    const afterNight = after.nights.find(n => n.id === id);
+    const empty = { consumptions: [], events: [], participants: [], predictions: [] };
     
-    // Find their best prediction about someone else (lowest error)
-    let bestPredictionError = Infinity;
-    let hasPredictions = false;
+    const participants = diffById((beforeNight || empty).participants, (afterNight || empty).participants);
+    const consumptions = diffById((beforeNight || empty).consumptions, (afterNight || empty).consumptions);
+    const predictions = diffById((beforeNight || empty).predictions, (afterNight || empty).predictions);
+    const events = diffById((beforeNight || empty).events, (afterNight || empty).events);
     
-    Object.keys(predictions).forEach(targetId => {
-      if (targetId !== participant.id && typeof actualDrinks[targetId] !== 'undefined') {
-        const error = Math.abs(predictions[targetId] - actualDrinks[targetId]);
-        if (error < bestPredictionError) {
-          bestPredictionError = error;
-          hasPredictions = true;
-        }
-      }
-    });
+    const changeCount = [participants, consumptions, predictions, events]
+      .reduce((total, d) => total + d.added.length + d.removed.length + d.changed.length, 0);
+    const status = !beforeNight ? 'added' : (!afterNight ? 'removed' : 'changed');
     
-    // Only consider if they made at least one prediction and their self-estimate was off by at least 3
-    if (hasPredictions && selfEstimateError >= 3 && bestPredictionError < 5) {
-      luckyDuckCandidates.push({
-        participant,
-        selfEstimateError,
-        bestPredictionError,
-        luckScore: selfEstimateError - bestPredictionError // Higher = luckier
-      });
+    if (status === 'changed' && changeCount === 0 &&
+        JSON.stringify(getNightRecord(beforeNight)) === JSON.stringify(getNightRecord(afterNight))) {
+      return;
     }
+    
+    nights.push({
+      id,
+      name: (afterNight || beforeNight).name,
+      status,
+      participants: {
+        added: participants.added.map(p => p.name),
+        removed: participants.removed.map(p => p.name),
+        changed: participants.changed.map(p => p.name)
+      },
+      consumptions: {
+        added: consumptions.added.length,
+        removed: consumptions.removed.length,
+        changed: consumptions.changed.length
+      },
+      predictions: {
+        added: predictions.added.length,
+        removed: predictions.removed.length,
+        changed: predictions.changed.length
+      },
+      events: {
+        added: events.added.map(e => e.label),
+        removed: events.removed.map(e => e.label)
+      }
+    });
   });
   
-  if (luckyDuckCandidates.length > 0) {
-    // Sort by luck score (descending)
-    luckyDuckCandidates.sort((a, b) => b.luckScore - a.luckScore);
-    const maxLuckScore = luckyDuckCandidates[0].luckScore;
-    
-    const gluckspilzWinners = luckyDuckCandidates
-      .filter(c => c.luckScore === maxLuckScore)
-      .map(c => c.participant);
+  return {
+    drinks: {
+      added: afterDrinks.filter(name => !beforeDrinks.includes(name)),
+      removed: beforeDrinks.filter(name => !afterDrinks.includes(name))
+    },
+    activeNightChanged: before.activeNightId !== after.activeNightId,
+    nights
+  };
+}
+
+// Write-ahead journal
+// Every change is appended (and fsynced) to a JSONL journal before it is
+// written to the database. Replaying it on top of the newest snapshot
+// recovers everything since that snapshot, even if the database was down.
+// Records are upserts/deletes, so replaying them twice is harmless.
+
+// Helper: Append a journal record
+function appendJournal(record) {
+  try {
+    if (!existsSync(SNAPSHOT_DIR)) {
+      mkdirSync(SNAPSHOT_DIR, { recursive: true });
+    }
     
-    if (gluckspilzWinners.length > 0) {
-      awards.push({
-        name: 'Glückspilz',
-        description: 'Hatte keine Ahnung über sich selbst, aber trotzdem gute Vorhersagen über andere gemacht.',
-        winners: gluckspilzWinners.map(p => ({ name: p.name, avatar: p.avatar }))
-      });
+    const fd = openSync(JOURNAL_FILE, 'a');
+    try {
+      writeSync(fd, JSON.stringify({ ...record, journaledAt: new Date().toISOString() }) + '\n');
+      fsyncSync(fd);
+    } finally {
+      closeSync(fd);
     }
+  } catch (err) {
+    console.error('✗ Journal append failed:', err.message);
   }
+}
 
-  // 6. Eiserne Leber: Iron Liver - highest total drinks (stamina award)
-  if (kotzstempelWinners.length > 0 && maxDrinks >= 5) {
-    awards.push({
-      name: 'Eiserne Leber',
-      description: 'Eiserne Ausdauer - hat die meisten Drinks konsumiert und steht immer noch!',
-      winners: kotzstempelWinners.map(p => ({ name: p.name, avatar: p.avatar }))
-    });
+// Helper: Move the current journal aside while a snapshot is being written
+function rotateJournal() {
+  if (!existsSync(JOURNAL_FILE)) {
+    return;
+  }
+  
+  if (existsSync(JOURNAL_PENDING_FILE)) {
+    // The previous snapshot failed; keep its records in front of the new ones
+    appendFileSync(JOURNAL_PENDING_FILE, readFileSync(JOURNAL_FILE));
+    unlinkSync(JOURNAL_FILE);
+  } else {
+    renameSync(JOURNAL_FILE, JOURNAL_PENDING_FILE);
   }
+}
 
-  // 7. Spätzünder: Late Igniter - slow start, strong finish
-  const now = new Date();
-  const eventStart = state.consumptions.length > 0 
-    ? new Date(Math.min(...state.consumptions.map(c => new Date(c.at).getTime())))
-    : now;
-  const eventDuration = (now - eventStart) / 1000 / 60; // in minutes
+// Helper: Read journal records, oldest first
+function readJournal() {
+  const records = [];
   
-  if (eventDuration >= 60) { // Need at least 1 hour of data
-    const spatezunderCandidates = [];
+  [JOURNAL_PENDING_FILE, JOURNAL_FILE].forEach(file => {
+    if (!existsSync(file)) {
+      return;
+    }
     
-    participants.forEach(participant => {
-      const participantConsumptions = state.consumptions
-        .filter(c => c.participantId === participant.id)
-        .map(c => ({ ...c, timestamp: new Date(c.at).getTime() }))
-        .sort((a, b) => a.timestamp - b.timestamp);
-      
-      if (participantConsumptions.length >= 3) {
-        const first30MinCutoff = eventStart.getTime() + (30 * 60 * 1000);
-        const last60MinCutoff = now.getTime() - (60 * 60 * 1000);
-        
-        const drinksFirst30Min = participantConsumptions.filter(c => c.timestamp <= first30MinCutoff).length;
-        const drinksLast60Min = participantConsumptions.filter(c => c.timestamp >= last60MinCutoff).length;
-        
-        // Calculate rates (drinks per minute)
-        const earlyRate = drinksFirst30Min / 30;
-        const lateRate = drinksLast60Min / 60;
-        
-        // Late igniter: low early rate, high late rate
-        if (earlyRate <= 0.1 && lateRate >= 0.05) {
-          const ignitionScore = lateRate - earlyRate; // Higher = more dramatic late ignition
-          spatezunderCandidates.push({
-            participant,
-            ignitionScore
-          });
-        }
+    readFileSync(file, 'utf8').split('\n').forEach(line => {
+      if (line.trim() === '') {
+        return;
+      }
+      try {
+        records.push(JSON.parse(line));
+      } catch (err) {
+        // A power cut can leave a half-written last line
+        console.warn(`  Skipping unreadable journal line in ${file}`);
       }
     });
-    
-    if (spatezunderCandidates.length > 0) {
-      spatezunderCandidates.sort((a, b) => b.ignitionScore - a.ignitionScore);
-      const maxIgnitionScore = spatezunderCandidates[0].ignitionScore;
-      
-      const spatezunderWinners = spatezunderCandidates
-        .filter(c => c.ignitionScore === maxIgnitionScore)
-        .map(c => c.participant);
-      
-      awards.push({
-        name: 'Spätzünder',
-        description: 'Langsamer Start, starkes Finish - brauchte Zeit zum Aufwärmen, aber dann ging es richtig los!',
-        winners: spatezunderWinners.map(p => ({ name: p.name, avatar: p.avatar }))
-      });
+  });
+  
+  return records;
+}
+
+// Helper: Apply one journal record to the in-memory state
+function applyJournalRecord(record) {
+  if (record.type === 'drink') {
+    const index = state.drinks.findIndex(d => d.name === record.drink.name);
+    if (index === -1) {
+      state.drinks.push(record.drink);
+    } else {
+      state.drinks[index] = record.drink;
     }
+  } else if (record.type === 'drink-delete') {
+    state.drinks = state.drinks.filter(d => d.name !== record.name);
+  } else if (record.type === 'night') {
+    const night = state.nights.find(n => n.id === record.night.id);
+    if (night) {
+      Object.assign(night, record.night);
+    } else {
+      state.nights.push({ ...record.night, consumptions: [], events: [], participants: [], predictions: [] });
+    }
+  } else if (record.type === 'item') {
+    const night = state.nights.find(n => n.id === record.nightId);
+    if (!night) {
+      return;
+    }
+    const items = night[record.collection];
+    const index = items.findIndex(i => i.id === record.item.id);
+    if (index === -1) {
+      items.push(record.item);
+    } else {
+      items[index] = record.item;
+    }
+  } else if (record.type === 'delete') {
+    state.nights.forEach(night => {
+      night[record.collection] = night[record.collection].filter(i => !record.ids.includes(i.id));
+    });
+  } else if (record.type === 'setting') {
+    state[record.key] = record.key === 'auth' ? normalizeAuth(record.value) : record.value;
   }
+}
 
-  // 8. Zeitmaschine: Time Machine - fastest drinker (shortest average time between drinks)
-  const zeitmaschinesCandidates = [];
-  
-  participants.forEach(participant => {
-    const participantConsumptions = state.consumptions
-      .filter(c => c.participantId === participant.id)
-      .map(c => ({ ...c, timestamp: new Date(c.at).getTime() }))
-      .sort((a, b) => a.timestamp - b.timestamp);
-    
-    if (participantConsumptions.length >= 3) {
-      // Calculate average time between consecutive drinks
-      let totalTimeBetween = 0;
-      for (let i = 1; i < participantConsumptions.length; i++) {
-        const timeDiff = participantConsumptions[i].timestamp - participantConsumptions[i - 1].timestamp;
-        totalTimeBetween += timeDiff;
+// Helper: Replay the journal on top of the current state (returns the number of records)
+function replayJournal() {
+  const records = readJournal();
+  records.forEach(applyJournalRecord);
+  state.drinks.sort((a, b) => a.order - b.order);
+  return records.length;
+}
+
+// Database persistence
+// Every collection gets its own table. Rows keep the in-memory object as a
+// JSONB document, so new fields don't need a migration; `seq` preserves the
+// order items were added in.
+const NIGHT_COLLECTION_TABLES = {
+  consumptions: 'consumptions',
+  events: 'night_events',
+  participants: 'participants',
+  predictions: 'predictions'
+};
+const DB_TABLES = ['drinks', 'nights', ...Object.values(NIGHT_COLLECTION_TABLES)];
+
+// Writes are chained so they reach the database in the order they happened
+let persistQueue = Promise.resolve();
+
+// False once a write failed, until a full write brings the database back in line;
+// until then the journal is the only record of that change and must be kept
+let databaseInSync = true;
+
+function enqueuePersist(description, operation) {
+  persistQueue = persistQueue.then(operation).catch(err => {
+    databaseInSync = false;
+    console.error(`✗ Database write failed (${description}):`, err.message);
+  });
+  return persistQueue;
+}
+
+// Helper: Create tables if missing
+async function ensureSchema() {
+  for (const table of DB_TABLES) {
+    await pgPool.query(`
+      CREATE TABLE IF NOT EXISTS ${table} (
+        id TEXT PRIMARY KEY,
+        night_id TEXT,
+        seq BIGSERIAL,
+        data JSONB NOT NULL
+      )
+    `);
+  }
+  await pgPool.query(`
+    CREATE TABLE IF NOT EXISTS app_settings (
+      key TEXT PRIMARY KEY,
+      value JSONB NOT NULL
+    )
+  `);
+}
+
+// Helper: Night metadata as stored in the nights table (collections live in their own tables)
+function getNightRecord(night) {
+  const { consumptions, events, participants, predictions, ...record } = night;
+  return record;
+}
+
+async function upsertRow(db, table, id, nightId, data) {
+  await db.query(
+    `INSERT INTO ${table} (id, night_id, data) VALUES ($1, $2, $3)
+     ON CONFLICT (id) DO UPDATE SET night_id = EXCLUDED.night_id, data = EXCLUDED.data`,
+    [id, nightId, JSON.stringify(data)]
+  );
+}
+
+async function upsertSetting(db, key, value) {
+  await db.query(
+    `INSERT INTO app_settings (key, value) VALUES ($1, $2)
+     ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value`,
+    [key, JSON.stringify(value)]
+  );
+}
+
+// Helper: Persist a drink
+function persistDrink(drink) {
+  appendJournal({ type: 'drink', drink });
+  return enqueuePersist(`drink ${drink.name}`, () => upsertRow(pgPool, 'drinks', drink.name, null, drink));
+}
+
+// Helper: Remove a drink (drinks are keyed by name)
+function unpersistDrink(name) {
+  appendJournal({ type: 'drink-delete', name });
+  return enqueuePersist(`drink ${name} delete`, () => pgPool.query('DELETE FROM drinks WHERE id = $1', [name]));
+}
+
+// Helper: Persist a night's metadata and settings
+function persistNight(night) {
+  appendJournal({ type: 'night', night: getNightRecord(night) });
+  return enqueuePersist(`night ${night.id}`, () => upsertRow(pgPool, 'nights', night.id, null, getNightRecord(night)));
+}
+
+// Helper: Persist an item of a night collection (consumptions, events, participants, predictions)
+function persistItem(collection, item, night = getActiveNight()) {
+  const table = NIGHT_COLLECTION_TABLES[collection];
+  appendJournal({ type: 'item', collection, nightId: night.id, item });
+  return enqueuePersist(`${collection} ${item.id}`, () => upsertRow(pgPool, table, item.id, night.id, item));
+}
+
+// Helper: Remove items of a night collection
+function unpersistItems(collection, ids) {
+  if (ids.length === 0) {
+    return persistQueue;
+  }
+  const table = NIGHT_COLLECTION_TABLES[collection];
+  appendJournal({ type: 'delete', collection, ids });
+  return enqueuePersist(`${collection} delete`, () => pgPool.query(`DELETE FROM ${table} WHERE id = ANY($1)`, [ids]));
+}
+
+// Helper: Persist a top-level setting (activeNightId, auth)
+function persistSetting(key) {
+  const value = state[key];
+  appendJournal({ type: 'setting', key, value });
+  return enqueuePersist(`setting ${key}`, () => upsertSetting(pgPool, key, value));
+}
+
+// Helper: Replace everything in the database with the in-memory state
+function persistFullState() {
+  return enqueuePersist('full state', async () => {
+    const client = await pgPool.connect();
+    try {
+      await client.query('BEGIN');
+      for (const table of [...DB_TABLES, 'app_settings']) {
+        await client.query(`DELETE FROM ${table}`);
       }
       
-      const avgTimeBetweenMs = totalTimeBetween / (participantConsumptions.length - 1);
-      const avgTimeBetweenMin = avgTimeBetweenMs / 1000 / 60;
+      for (const drink of state.drinks) {
+        await upsertRow(client, 'drinks', drink.name, null, drink);
+      }
+      for (const night of state.nights) {
+        await upsertRow(client, 'nights', night.id, null, getNightRecord(night));
+        for (const [collection, table] of Object.entries(NIGHT_COLLECTION_TABLES)) {
+          for (const item of night[collection]) {
+            await upsertRow(client, table, item.id, night.id, item);
+          }
+        }
+      }
+      await upsertSetting(client, 'activeNightId', state.activeNightId);
+      await upsertSetting(client, 'auth', state.auth);
       
-      zeitmaschinesCandidates.push({
-        participant,
-        avgTimeBetweenMin
-      });
+      await client.query('COMMIT');
+      databaseInSync = true;
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
     }
   });
+}
+
+// Helper: Load state from the database (false if it has never been populated)
+async function loadStateFromDatabase() {
+  const settingsResult = await pgPool.query('SELECT key, value FROM app_settings');
+  const settings = Object.fromEntries(settingsResult.rows.map(row => [row.key, row.value]));
+  if (!settings.activeNightId) {
+    return false;
+  }
   
-  if (zeitmaschinesCandidates.length > 0) {
-    // Find minimum average time
-    let minAvgTime = Infinity;
-    let zeitmaschineWinners = [];
-    
-    zeitmaschinesCandidates.forEach(candidate => {
-      if (candidate.avgTimeBetweenMin < minAvgTime) {
-        minAvgTime = candidate.avgTimeBetweenMin;
-        zeitmaschineWinners = [candidate.participant];
-      } else if (candidate.avgTimeBetweenMin === minAvgTime) {
-        zeitmaschineWinners.push(candidate.participant);
+  const drinksResult = await pgPool.query('SELECT data FROM drinks ORDER BY seq');
+  const nightsResult = await pgPool.query('SELECT data FROM nights ORDER BY seq');
+  
+  const nights = nightsResult.rows.map(row => ({
+    ...row.data,
+    consumptions: [],
+    events: [],
+    participants: [],
+    predictions: []
+  }));
+  const nightsById = new Map(nights.map(n => [n.id, n]));
+  
+  for (const [collection, table] of Object.entries(NIGHT_COLLECTION_TABLES)) {
+    const result = await pgPool.query(`SELECT night_id, data FROM ${table} ORDER BY seq`);
+    result.rows.forEach(row => {
+      const night = nightsById.get(row.night_id);
+      if (night) {
+        night[collection].push(row.data);
       }
     });
-    
-    if (zeitmaschineWinners.length > 0 && minAvgTime < 15) { // Only award if avg < 15 min
-      awards.push({
-        name: 'Zeitmaschine',
-        description: 'Schnellster Trinker - kürzeste durchschnittliche Zeit zwischen den Drinks!',
-        winners: zeitmaschineWinners.map(p => ({ name: p.name, avatar: p.avatar }))
-      });
+  }
+  
+  const { state: loadedState, errors } = parseSnapshot({
+    schemaVersion: SNAPSHOT_SCHEMA_VERSION,
+    drinks: drinksResult.rows.map(row => row.data),
+    nights,
+    activeNightId: settings.activeNightId,
+    auth: settings.auth
+  });
+  if (!loadedState) {
+    throw new Error(`Stored data is invalid: ${errors.join('; ')}`);
+  }
+  state = loadedState;
+  
+  // parseSnapshot opens a fresh night if the stored one was archived or lost
+  if (state.activeNightId !== settings.activeNightId) {
+    persistNight(getActiveNight());
+    persistSetting('activeNightId');
+  }
+  
+  const night = getActiveNight();
+  console.log('✓ Loaded state from database');
+  console.log(`  Drinks: ${state.drinks.length}, Nights: ${state.nights.length} (active: ${night.name})`);
+  return true;
+}
+
+// Helper: Generate unique ID
+function generateId() {
+  return randomBytes(16).toString('hex');
+}
+
+// Helper: Remember a drink this session logged, so that only this session may undo it
+function rememberUndoable(req, consumption) {
+  const cutoff = Date.now() - UNDO_WINDOW_SEC * 1000;
+  req.session.undoable = (req.session.undoable || [])
+    .filter(entry => entry.at >= cutoff)
+    .concat({ id: consumption.id, at: Date.now() });
+}
+
+// Helper: Whether this session logged the drink (see rememberUndoable)
+function isUndoable(req, consumptionId) {
+  return (req.session.undoable || []).some(entry => entry.id === consumptionId);
+}
+
+// Helper: Stable ID derived from an item's content (for backfilling old data)
+function getContentId(item) {
+  return createHash('sha256').update(JSON.stringify(item)).digest('hex').slice(0, 32);
+}
+
+const scryptAsync = promisify(scrypt);
+
+// Helper: Hash passcode with a fresh salt, stored as "scrypt$<salt>$<key>"
+async function hashPasscode(passcode) {
+  const salt = randomBytes(16).toString('hex');
+  const key = await scryptAsync(passcode, salt, SCRYPT_KEY_LENGTH);
+  return `scrypt$${salt}$${key.toString('hex')}`;
+}
+
+// Helper: Check a passcode against a stored hash
+// Hashes from before scrypt are bare SHA-256; they still verify so they can be upgraded.
+async function checkPasscodeHash(passcode, passcodeHash) {
+  if (!passcodeHash) {
+    return false;
+  }
+  
+  if (passcodeHash.startsWith('scrypt$')) {
+    const [, salt, key] = passcodeHash.split('$');
+    const expected = Buffer.from(key, 'hex');
+    const actual = await scryptAsync(passcode, salt, expected.length);
+    return timingSafeEqual(actual, expected);
+  }
+  
+  const expected = Buffer.from(passcodeHash, 'hex');
+  const actual = createHash('sha256').update(passcode).digest();
+  return expected.length === actual.length && timingSafeEqual(actual, expected);
+}
+
+// Helper: Whether another role than the given one already uses a passcode
+async function isPasscodeTaken(passcode, role) {
+  for (const other of ROLES.filter(r => r !== role)) {
+    if (await checkPasscodeHash(passcode, state.auth.roles[other].passcodeHash)) {
+      return true;
     }
   }
+  return false;
+}
 
-  // Add descriptions to existing awards
-  if (awards.length > 0) {
-    awards.forEach(award => {
-      if (!award.description) {
-        if (award.name === 'Kotzstempel') {
-          award.description = 'Die meisten Drinks konsumiert - der Champion des Abends!';
-        } else if (award.name === 'Spülsüchtigen') {
-          award.description = 'Der beste Vorhersager - niedrigste durchschnittliche Abweichung bei allen Tipps.';
-        } else if (award.name === 'Stille Wasser sind tief') {
-          award.description = 'Am schwersten vorherzusagen - alle anderen lagen bei dieser Person am weitesten daneben.';
-        }
+// Helper: Empty credentials for every role
+function createAuth() {
+  return {
+    roles: Object.fromEntries(ROLES.map(role => [role, { passcodeHash: null, inviteToken: null }])),
+    joinInvites: []
+  };
+}
+
+// Helper: Bring stored credentials up to the current shape
+function normalizeAuth(auth) {
+  const normalized = createAuth();
+  if (auth && auth.roles) {
+    ROLES.forEach(role => Object.assign(normalized.roles[role], auth.roles[role]));
+  }
+  if (auth && Array.isArray(auth.joinInvites)) {
+    normalized.joinInvites = auth.joinInvites;
+  }
+  // Before roles there was a single passcode, which is the admin's
+  if (auth && auth.passcodeHash && !normalized.roles.admin.passcodeHash) {
+    normalized.roles.admin.passcodeHash = auth.passcodeHash;
+  }
+  return normalized;
+}
+
+// Helper: Whether a role may do what another role may
+function hasRole(role, required) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+// Helper: Role a passcode signs in as (the highest if several match), or null
+// A matching hash from before scrypt is upgraded on the way.
+async function getPasscodeRole(passcode) {
+  for (const role of [...ROLES].reverse()) {
+    const credentials = state.auth.roles[role];
+    if (await checkPasscodeHash(passcode, credentials.passcodeHash)) {
+      if (!credentials.passcodeHash.startsWith('scrypt$')) {
+        credentials.passcodeHash = await hashPasscode(passcode);
+        await persistSetting('auth');
+        console.log(`✓ Upgraded the ${role} passcode hash to scrypt`);
+      }
+      return role;
+    }
+  }
+  return null;
+}
+
+// Helper: Count a failed passcode attempt; enough of them in a row start a lockout
+// Attempts older than the lockout period are forgotten.
+function countPasscodeFailure(entry) {
+  const now = Date.now();
+  const previous = entry && now - entry.lastAt < PASSCODE_LOCKOUT_SEC * 1000 ? entry : { count: 0, lockedUntil: 0 };
+  const count = previous.count + 1;
+  if (count >= PASSCODE_MAX_ATTEMPTS) {
+    return { count: 0, lockedUntil: now + PASSCODE_LOCKOUT_SEC * 1000, lastAt: now };
+  }
+  return { count, lockedUntil: previous.lockedUntil, lastAt: now };
+}
+
+// Helper: Record a failed passcode attempt for the request's IP and session
+function recordPasscodeFailure(req) {
+  passcodeFailuresByIp.set(req.ip, countPasscodeFailure(passcodeFailuresByIp.get(req.ip)));
+  req.session.passcodeFailures = countPasscodeFailure(req.session.passcodeFailures);
+  
+  // Forget addresses that stopped trying long ago
+  if (passcodeFailuresByIp.size > 1000) {
+    const cutoff = Date.now() - PASSCODE_LOCKOUT_SEC * 1000;
+    passcodeFailuresByIp.forEach((entry, ip) => {
+      if (entry.lastAt < cutoff && entry.lockedUntil < Date.now()) {
+        passcodeFailuresByIp.delete(ip);
       }
     });
   }
+}
 
-  return awards;
+// Helper: Forget the request's failed attempts once it got a passcode right
+function clearPasscodeFailures(req) {
+  passcodeFailuresByIp.delete(req.ip);
+  delete req.session.passcodeFailures;
 }
 
-// Routes
-app.get('/', (req, res) => {
-  res.redirect('/dashboard');
-});
+// Helper: Seconds until the request's IP or session may try passcodes again (0 if now)
+function getPasscodeLockout(req) {
+  const lockedUntil = Math.max(
+    (passcodeFailuresByIp.get(req.ip) || {}).lockedUntil || 0,
+    (req.session.passcodeFailures || {}).lockedUntil || 0
+  );
+  return Math.max(0, Math.ceil((lockedUntil - Date.now()) / 1000));
+}
 
-app.get('/dashboard', (req, res) => {
-  res.sendFile(join(__dirname, 'public', 'dashboard.html'));
-});
+// Helper: Sign out every session of a role except the given one
+async function endRoleSessions(role, keepSessionId) {
+  try {
+    const result = await pgPool.query(
+      `DELETE FROM session WHERE sid <> $1 AND (sess->>'role' = $2 OR ($2 = 'admin' AND sess->>'authenticated' = 'true'))`,
+      [keepSessionId, role]
+    );
+    return result.rowCount;
+  } catch (err) {
+    console.error('Failed to end sessions:', err.message);
+    return 0;
+  }
+}
 
-app.get('/control', (req, res) => {
-  res.sendFile(join(__dirname, 'public', 'control.html'));
-});
+// Helper: Move the sessions tied to one participant over to another (after a merge)
+async function rebindParticipantSessions(fromId, intoId) {
+  try {
+    const result = await pgPool.query(
+      `UPDATE session SET sess = jsonb_set(sess::jsonb, '{participantToken}', to_jsonb($2::text))::json WHERE sess->>'participantToken' = $1`,
+      [signToken({ type: 'participant', participantId: fromId }), signToken({ type: 'participant', participantId: intoId })]
+    );
+    return result.rowCount;
+  } catch (err) {
+    console.error('Failed to move sessions:', err.message);
+    return 0;
+  }
+}
 
-// SSE endpoint
-app.get('/events', (req, res) => {
-  res.setHeader('Content-Type', 'text/event-stream');
-  res.setHeader('Cache-Control', 'no-cache');
-  res.setHeader('Connection', 'keep-alive');
-  // Removed CORS header for security - same-origin only
+// Helper: Role an invite link signs in as, or null
+function getInviteRole(token) {
+  return ROLES.find(role => state.auth.roles[role].inviteToken === token) || null;
+}
+
+// Helper: One-time join invite for a token, or null if it is unknown, used, revoked or expired
+function getJoinInvite(token) {
+  const invite = state.auth.joinInvites.find(i => i.token === token);
+  return invite && new Date(invite.expiresAt) > new Date() ? invite : null;
+}
+
+// Helper: Forget join invites that can no longer be used
+function pruneJoinInvites() {
+  state.auth.joinInvites = state.auth.joinInvites.filter(i => new Date(i.expiresAt) > new Date());
+}
+
+// Helper: Join invite as listed to bartenders
+function getJoinInviteInfo(invite) {
+  return {
+    id: invite.id,
+    createdAt: invite.createdAt,
+    expiresAt: invite.expiresAt,
+    joinUrl: getJoinUrl(invite),
+    qrPath: `/api/join-qr?invite=${invite.token}`
+  };
+}
+
+// Helper: Role of the session behind a request (null if it has none)
+// Until an admin passcode is set everyone is admin, as before there were roles.
+// Guests need no credentials unless a guest passcode or invite link exists.
+function getRole(req) {
+  if (!state.auth.roles.admin.passcodeHash) {
+    return 'admin';
+  }
   
-  // Check if client is authenticated (for filtering sensitive events)
-  const isAuthenticated = !state.eventSettings.passcodeHash || (req.session && req.session.authenticated);
+  const session = req.session || {};
+  if (ROLES.includes(session.role)) {
+    return session.role;
+  }
+  // Sessions from before roles were signed in with the admin passcode
+  if (session.authenticated) {
+    return 'admin';
+  }
   
-  // Add client with auth status
-  const client = { res, isAuthenticated };
-  sseClients.push(client);
-  console.log(`SSE client connected (${sseClients.length} total, authenticated: ${isAuthenticated})`);
+  const guest = state.auth.roles.guest;
+  return !guest.passcodeHash && !guest.inviteToken ? 'guest' : null;
+}
+
+// Helper: Start a fresh session for a role, keeping the participant it joined as
+function startRoleSession(req, role) {
+  const participantToken = req.session.participantToken;
+  return new Promise(resolve => {
+    req.session.regenerate((err) => {
+      if (err) {
+        console.error('Session regeneration error:', err);
+      }
+      req.session.role = role;
+      if (participantToken) {
+        req.session.participantToken = participantToken;
+      }
+      resolve();
+    });
+  });
+}
+
+// Helper: Sign a payload so it can only have come from this server ("<payload>.<signature>")
+function signToken(payload) {
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const signature = createHmac('sha256', sessionSecret).update(body).digest('base64url');
+  return `${body}.${signature}`;
+}
+
+// Helper: Payload of a token from signToken(), or null if it was tampered with or has expired
+function readToken(token) {
+  if (typeof token !== 'string') {
+    return null;
+  }
+  
+  const [body, signature] = token.split('.');
+  const expected = Buffer.from(createHmac('sha256', sessionSecret).update(body || '').digest('base64url'));
+  const actual = Buffer.from(signature || '');
+  if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) {
+    return null;
+  }
+  
+  const payload = JSON.parse(Buffer.from(body, 'base64url').toString());
+  if (payload.expiresAt && payload.expiresAt < Date.now()) {
+    return null;
+  }
+  return payload;
+}
+
+// Helper: Tie a session to the participant it joined (or claimed) as
+function bindParticipant(req, participantId) {
+  req.session.participantToken = signToken({ type: 'participant', participantId });
+}
+
+// Helper: Participant the request's session is tied to, or null
+function getSessionParticipantId(req) {
+  const payload = readToken(req.session.participantToken);
+  return payload && payload.type === 'participant' ? payload.participantId : null;
+}
+
+// Helper: Whether a request may act for a participant
+// Bartenders and admins act for anyone; guests only for the participant they joined as.
+function canActFor(req, participantId) {
+  return hasRole(req.role, 'bartender') || (!!participantId && participantId === getSessionParticipantId(req));
+}
+
+// Helper: Get participant drink count
+function getParticipantDrinkCount(participantId, night = getActiveNight()) {
+  return night.consumptions.filter(c => c.participantId === participantId).length;
+}
+
+// Helper: Drinks in display order (archived drinks only on request)
+function getOrderedDrinks(includeArchived = false) {
+  return state.drinks.filter(d => includeArchived || !d.archivedAt);
+}
+
+// Helper: Order value for a drink added at the end
+function getNextDrinkOrder() {
+  return state.drinks.reduce((max, d) => Math.max(max, d.order + 1), 0);
+}
+
+// Helper: Move a drink to a position among the active drinks
+// Renumbers every drink and returns the ones whose order changed.
+function moveDrink(drink, position) {
+  const active = getOrderedDrinks().filter(d => d !== drink);
+  const index = Math.max(0, Math.min(position, active.length));
+  active.splice(index, 0, drink);
+  
+  // Archived drinks keep their place relative to each other, after the active ones
+  const ordered = [...active, ...state.drinks.filter(d => d.archivedAt && d !== drink)];
+  const changed = [];
+  ordered.forEach((d, i) => {
+    if (d.order !== i) {
+      d.order = i;
+      changed.push(d);
+    }
+  });
+  
+  state.drinks = ordered;
+  return changed;
+}
+
+// Helper: Grams of pure alcohol in one serving (null if the drink has no volume/ABV)
+function getAlcoholGrams(drink) {
+  if (!drink || !drink.volumeMl || typeof drink.abv !== 'number') {
+    return null;
+  }
+  return drink.volumeMl * (drink.abv / 100) * ETHANOL_DENSITY;
+}
+
+// Helper: BAC (‰) at which a night warns about a participant
+function getBacThreshold(night = getActiveNight()) {
+  const threshold = night.eventSettings.bacWarningThreshold;
+  return typeof threshold === 'number' ? threshold : BAC_WARNING_THRESHOLD;
+}
+
+// Helper: Standard drinks and a Widmark BAC estimate for one participant
+// Every drink is counted as absorbed the moment it is logged; alcohol is
+// eliminated at a constant rate. BAC values are in per mille (g/kg).
+function getBacReport(participant, night = getActiveNight()) {
+  const end = night.archivedAt ? Date.parse(night.archivedAt) : Date.now();
+  const drinksByName = new Map(state.drinks.map(d => [d.name, d]));
+  
+  const doses = [];
+  let unknownDrinks = 0;
+  night.consumptions
+    .filter(c => c.participantId === participant.id)
+    .forEach(c => {
+      const grams = getAlcoholGrams(drinksByName.get(c.drinkName));
+      if (grams === null) {
+        unknownDrinks++;
+      } else {
+        doses.push({ at: Date.parse(c.at), grams });
+      }
+    });
+  doses.sort((a, b) => a.at - b.at);
+  
+  const alcoholGrams = doses.reduce((sum, dose) => sum + dose.grams, 0);
+  const report = {
+    participantId: participant.id,
+    name: participant.name,
+    drinks: doses.length + unknownDrinks,
+    unknownDrinks,
+    alcoholGrams: Math.round(alcoholGrams * 10) / 10,
+    standardDrinks: Math.round(alcoholGrams / STANDARD_DRINK_GRAMS * 10) / 10,
+    bac: null,
+    peakBac: null,
+    peakAt: null,
+    soberAt: null,
+    overThreshold: false,
+    curve: []
+  };
+  
+  // Without a body weight there is nothing to spread the alcohol over
+  if (!participant.weightKg) {
+    return report;
+  }
+  
+  const factor = WIDMARK_FACTORS[participant.sex] || WIDMARK_FACTORS.unknown;
+  const round = value => Math.round(value * 1000) / 1000;
+  let bac = 0;
+  let time = doses.length > 0 ? doses[0].at : end;
+  let peak = { bac: 0, at: null };
+  const addPoint = t => {
+    const point = { at: new Date(t).toISOString(), bac: round(bac) };
+    const last = report.curve[report.curve.length - 1];
+    if (!last || last.at !== point.at || last.bac !== point.bac) {
+      report.curve.push(point);
+    }
+  };
+  const decayTo = t => {
+    bac = Math.max(0, bac - BAC_ELIMINATION_PER_HOUR * (t - time) / 3600000);
+    time = t;
+    addPoint(t);
+  };
+  
+  // Sample every few minutes, plus the values just before and after each drink
+  let next = 0;
+  const drinkUntil = t => {
+    while (next < doses.length && doses[next].at <= t) {
+      const dose = doses[next++];
+      decayTo(dose.at);
+      bac += dose.grams / (factor * participant.weightKg);
+      addPoint(dose.at);
+      if (bac > peak.bac) {
+        peak = { bac, at: dose.at };
+      }
+    }
+  };
+  for (let t = time; t < end; t += BAC_CURVE_STEP_MS) {
+    drinkUntil(t);
+    decayTo(t);
+    // Stop once everything is eliminated and nothing else was drunk
+    if (bac === 0 && next >= doses.length) {
+      break;
+    }
+  }
+  drinkUntil(end);
+  decayTo(end);
+  
+  report.bac = round(bac);
+  report.peakBac = round(peak.bac);
+  report.peakAt = peak.at ? new Date(peak.at).toISOString() : null;
+  report.soberAt = bac > 0 ? new Date(end + bac / BAC_ELIMINATION_PER_HOUR * 3600000).toISOString() : null;
+  report.overThreshold = report.bac >= getBacThreshold(night);
+  return report;
+}
+
+// Helper: Warn authenticated clients when a new drink takes someone over the threshold
+function broadcastBacWarning(participant, bacBefore, night = getActiveNight()) {
+  const { bac } = getBacReport(participant, night);
+  const threshold = getBacThreshold(night);
+  
+  if (bac !== null && bac >= threshold && (bacBefore === null || bacBefore < threshold)) {
+    broadcastSSE('bac-warning', {
+      participantId: participant.id,
+      name: participant.name,
+      bac,
+      threshold
+    });
+  }
+}
+
+// Helper: Validate volume/ABV from a request body
+// Returns { error } or the fields to store (only the ones present in the body).
+function parseDrinkAlcohol(body) {
+  const fields = {};
+  
+  if (body.volumeMl !== undefined && body.volumeMl !== null && body.volumeMl !== '') {
+    const volumeMl = Number(body.volumeMl);
+    if (!Number.isFinite(volumeMl) || volumeMl <= 0 || volumeMl > 5000) {
+      return { error: 'volumeMl must be a number between 0 and 5000' };
+    }
+    fields.volumeMl = volumeMl;
+  } else if (body.volumeMl !== undefined) {
+    fields.volumeMl = null;
+  }
+  
+  if (body.abv !== undefined && body.abv !== null && body.abv !== '') {
+    const abv = Number(body.abv);
+    if (!Number.isFinite(abv) || abv < 0 || abv > 100) {
+      return { error: 'abv must be a percentage between 0 and 100' };
+    }
+    fields.abv = abv;
+  } else if (body.abv !== undefined) {
+    fields.abv = null;
+  }
+  
+  return { fields };
+}
+
+// Helper: Validate a drink category from a request body (same contract as parseDrinkAlcohol)
+function parseDrinkCategory(body) {
+  if (body.category === undefined) {
+    return { fields: {} };
+  }
+  if (body.category === null || body.category === '') {
+    return { fields: { category: null } };
+  }
+  
+  const category = typeof body.category === 'string' ? body.category.trim() : '';
+  if (category === '' || category.length > 40) {
+    return { error: 'category must be a name of up to 40 characters' };
+  }
+  
+  // Reuse the spelling of an existing category ("beer" joins "Beer")
+  const known = [...DRINK_CATEGORIES.map(c => c.name), ...state.drinks.map(d => d.category).filter(Boolean)]
+    .find(name => name.toLowerCase() === category.toLowerCase());
+  return { fields: { category: known || category } };
+}
+
+// Helper: Validate a drink price from a request body (same contract as parseDrinkAlcohol)
+function parseDrinkPrice(body) {
+  if (body.price === undefined) {
+    return { fields: {} };
+  }
+  if (body.price === null || body.price === '') {
+    return { fields: { price: null } };
+  }
+  
+  const price = Number(body.price);
+  if (!Number.isFinite(price) || price < 0 || price > 10000) {
+    return { error: 'price must be a number between 0 and 10000' };
+  }
+  // Stored in the currency's main unit, rounded to cents
+  return { fields: { price: Math.round(price * 100) / 100 } };
+}
+
+// Helper: Currency a night's prices are shown in
+function getCurrency(night = getActiveNight()) {
+  return night.eventSettings.currency || DEFAULT_CURRENCY;
+}
+
+// Helper: Split an amount in cents into n shares that add up exactly
+function splitCents(cents, n) {
+  const base = Math.floor(cents / n);
+  return Array.from({ length: n }, (_, i) => base + (i < cents - base * n ? 1 : 0));
+}
+
+// Helper: Fewest transfers that settle the given balances (cents; positive = is owed money)
+function getSettlementTransfers(balances) {
+  const creditors = balances.filter(b => b.cents > 0).map(b => ({ ...b })).sort((a, b) => b.cents - a.cents);
+  const debtors = balances.filter(b => b.cents < 0).map(b => ({ ...b, cents: -b.cents })).sort((a, b) => b.cents - a.cents);
+  const transfers = [];
+  
+  while (creditors.length > 0 && debtors.length > 0) {
+    const creditor = creditors[0];
+    const debtor = debtors[0];
+    const cents = Math.min(creditor.cents, debtor.cents);
+    transfers.push({ from: debtor.participant, to: creditor.participant, cents });
+    creditor.cents -= cents;
+    debtor.cents -= cents;
+    if (creditor.cents === 0) creditors.shift();
+    if (debtor.cents === 0) debtors.shift();
+  }
+  
+  return transfers;
+}
+
+// Helper: The bill for a night - what everyone drank, paid and owes
+// Drinks logged without a participant are shared rounds, split evenly between
+// everyone in the night. Rounds tagged with a payer count as paid by them;
+// `paidBy` is whoever settled the rest of the bill with the bar.
+function computeTab(night = getActiveNight(), paidBy = null) {
+  const pricesByName = new Map(state.drinks.map(d => [d.name, d.price]));
+  const people = night.participants.map(p => ({
+    participant: { id: p.id, name: p.name },
+    drinks: 0,
+    ownCents: 0,
+    sharedCents: 0,
+    paidCents: 0
+  }));
+  const byId = new Map(people.map(p => [p.participant.id, p]));
+  
+  let sharedDrinks = 0;
+  let sharedCents = 0;
+  let unpricedDrinks = 0;
+  let prepaidCents = 0;
+  night.consumptions.forEach(c => {
+    const price = pricesByName.get(c.drinkName);
+    if (typeof price !== 'number') {
+      unpricedDrinks++;
+      return;
+    }
+    const cents = Math.round(price * 100);
+    const roundPayer = c.paidBy && byId.get(c.paidBy);
+    if (roundPayer) {
+      roundPayer.paidCents += cents;
+      prepaidCents += cents;
+    }
+    const person = c.participantId && byId.get(c.participantId);
+    if (person) {
+      person.drinks++;
+      person.ownCents += cents;
+    } else {
+      sharedDrinks++;
+      sharedCents += cents;
+    }
+  });
+  
+  if (people.length > 0) {
+    splitCents(sharedCents, people.length).forEach((cents, i) => {
+      people[i].sharedCents = cents;
+    });
+  }
+  
+  const totalCents = people.reduce((sum, p) => sum + p.ownCents + p.sharedCents, 0) +
+    (people.length === 0 ? sharedCents : 0);
+  const payer = paidBy && byId.get(paidBy);
+  if (payer) {
+    payer.paidCents += totalCents - prepaidCents;
+  }
+  
+  const toAmount = cents => cents / 100;
+  const transfers = getSettlementTransfers(people.map(p => ({
+    participant: p.participant,
+    cents: p.paidCents - p.ownCents - p.sharedCents
+  })));
+  
+  return {
+    nightId: night.id,
+    nightName: night.name,
+    currency: getCurrency(night),
+    total: toAmount(totalCents),
+    shared: { drinks: sharedDrinks, amount: toAmount(sharedCents) },
+    prepaid: toAmount(prepaidCents),
+    unpricedDrinks,
+    paidBy: payer ? payer.participant : null,
+    participants: people.map(p => ({
+      ...p.participant,
+      drinks: p.drinks,
+      own: toAmount(p.ownCents),
+      sharedShare: toAmount(p.sharedCents),
+      total: toAmount(p.ownCents + p.sharedCents),
+      paid: toAmount(p.paidCents),
+      balance: toAmount(p.paidCents - p.ownCents - p.sharedCents)
+    })),
+    transfers: transfers.map(t => ({ from: t.from, to: t.to, amount: toAmount(t.cents) }))
+  };
+}
+
+// Helper: A value as a CSV field, quoted if needed and never read as a formula
+function toCsvField(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  // Spreadsheets run text starting with = + - @ tab or CR as a formula; plain numbers stay numbers
+  if (/^[=+\-@\t\r]/.test(text) && !/^-?\d+(\.\d+)?$/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Helper: The tab as CSV - one row per participant, then the transfers
+function getTabCsv(tab) {
+  const rows = [
+    ['Participant', 'Drinks', 'Own', 'Shared rounds', 'Total', 'Paid', 'Balance', 'Currency'],
+    ...tab.participants.map(p => [p.name, p.drinks, p.own.toFixed(2), p.sharedShare.toFixed(2), p.total.toFixed(2), p.paid.toFixed(2), p.balance.toFixed(2), tab.currency]),
+    [],
+    ['From', 'To', 'Amount', 'Currency'],
+    ...tab.transfers.map(t => [t.from.name, t.to.name, t.amount.toFixed(2), tab.currency])
+  ];
+  return rows.map(row => row.map(toCsvField).join(',')).join('\r\n') + '\r\n';
+}
+
+// Helper: Whether a time zone name is one Intl knows (e.g. Europe/Berlin)
+function isTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+// Helper: A time as ISO 8601 in a time zone, e.g. 2025-10-22T23:15:00+02:00
+function formatInTimeZone(date, timeZone) {
+  if (!date) return null;
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    timeZoneName: 'longOffset'
+  }).formatToParts(new Date(date)).map(part => [part.type, part.value]));
+  const offset = parts.timeZoneName === 'GMT' ? '+00:00' : parts.timeZoneName.replace('GMT', '');
+  return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}:${parts.second}${offset}`;
+}
+
+// What /api/export can export: the role it needs, its columns and its rows. Rows name
+// participants instead of using their ids and give times in the requested time zone.
+const EXPORT_SCOPES = {
+  consumptions: {
+    role: 'bartender',
+    columns: ['id', 'at', 'drink', 'category', 'participant', 'roundId', 'paidBy', 'price'],
+    rows(night, { time, name }) {
+      const drinksByName = new Map(state.drinks.map(d => [d.name, d]));
+      return night.consumptions.map(c => {
+        const drink = drinksByName.get(c.drinkName);
+        return {
+          id: c.id,
+          at: time(c.at),
+          drink: c.drinkName,
+          category: (drink && drink.category) || UNCATEGORIZED.name,
+          participant: name(c.participantId),
+          roundId: c.roundId || null,
+          paidBy: name(c.paidBy),
+          price: drink && typeof drink.price === 'number' ? drink.price : null
+        };
+      });
+    }
+  },
+  participants: {
+    role: 'bartender',
+    columns: ['id', 'name', 'drinks', 'selfEstimate', 'weightKg', 'sex'],
+    rows(night) {
+      const drinks = {};
+      night.consumptions.forEach(c => {
+        if (c.participantId) drinks[c.participantId] = (drinks[c.participantId] || 0) + 1;
+      });
+      return night.participants.map(p => ({
+        id: p.id,
+        name: p.name,
+        drinks: drinks[p.id] || 0,
+        selfEstimate: p.selfEstimate ?? null,
+        weightKg: p.weightKg || null,
+        sex: p.sex || null
+      }));
+    }
+  },
+  predictions: {
+    role: 'admin',
+    columns: ['id', 'at', 'predictor', 'type', 'target', 'predictedDrinks', 'min', 'max', 'drinkName', 'threshold', 'revisions'],
+    rows(night, { time, name }) {
+      return night.predictions.map(p => ({
+        id: p.id,
+        at: time(p.at),
+        predictor: name(p.predictorId),
+        type: getPredictionType(p).id,
+        target: name(p.targetId),
+        predictedDrinks: p.predictedDrinks ?? null,
+        min: p.min ?? null,
+        max: p.max ?? null,
+        drinkName: p.drinkName ?? null,
+        threshold: p.threshold ?? null,
+        revisions: getPredictionRevisions(p).length
+      }));
+    }
+  },
+  events: {
+    role: 'bartender',
+    columns: ['id', 'at', 'label', 'color'],
+    rows(night, { time }) {
+      return night.events.map(e => ({ id: e.id, at: time(e.at), label: e.label, color: e.color || null }));
+    }
+  },
+  // One row per award, ranked participant and metric, so a spreadsheet can pivot it
+  awards: {
+    role: 'bartender',
+    columns: ['award', 'awardName', 'rank', 'participant', 'eligible', 'metric', 'metricLabel', 'value'],
+    rows(night, { lang }) {
+      return computeAwards(night, lang).flatMap(award => award.ranking.flatMap(entry => award.metrics.map(metric => ({
+        award: award.id,
+        awardName: award.name,
+        rank: entry.rank,
+        participant: entry.name,
+        eligible: entry.eligible,
+        metric: metric.key,
+        metricLabel: metric.label,
+        value: entry.metrics[metric.key]
+      }))));
+    }
+  }
+};
+
+// Helper: Validate body weight/sex from a request body (same contract as parseDrinkAlcohol)
+function parseBodyProfile(body) {
+  const fields = {};
+  
+  if (body.weightKg !== undefined && body.weightKg !== null && body.weightKg !== '') {
+    const weightKg = Number(body.weightKg);
+    if (!Number.isFinite(weightKg) || weightKg < 20 || weightKg > 400) {
+      return { error: 'weightKg must be a number between 20 and 400' };
+    }
+    fields.weightKg = weightKg;
+  } else if (body.weightKg !== undefined) {
+    fields.weightKg = null;
+  }
+  
+  if (body.sex !== undefined && body.sex !== null && body.sex !== '') {
+    if (!['male', 'female'].includes(body.sex)) {
+      return { error: 'sex must be "male" or "female"' };
+    }
+    fields.sex = body.sex;
+  } else if (body.sex !== undefined) {
+    fields.sex = null;
+  }
+  
+  return { fields };
+}
+
+// Award definitions, presented in this order. Each one scores a night from the facts
+// gathered by getAwardContext(): score() returns an entry per participant it considered,
+// { participant, score, metrics, eligible? }, and the eligible entries with the best
+// score (highest, or lowest for direction 'min') win. metrics name the numbers shown
+// behind the award; params are the defaults an admin can tune per night (eventSettings.awards).
+const AWARD_DEFINITIONS = [];
+
+// Labels of the numbers behind the awards
+const AWARD_METRICS = {
+  drinks: { de: 'Drinks', en: 'Drinks' },
+  mae: { de: 'Ø Abweichung', en: 'Mean error' },
+  coverage: { de: 'Abdeckung', en: 'Coverage' },
+  predictions: { de: 'Tipps', en: 'Predictions' },
+  crowdMae: { de: 'Ø Abweichung der anderen', en: 'Crowd mean error' },
+  selfEstimateError: { de: 'Abweichung Selbsteinschätzung', en: 'Self-estimate error' },
+  bestPredictionError: { de: 'Bester Tipp daneben um', en: 'Best prediction off by' },
+  luckScore: { de: 'Glückswert', en: 'Luck score' },
+  earlyRate: { de: 'Drinks/Min. am Anfang', en: 'Drinks/min early' },
+  lateRate: { de: 'Drinks/Min. am Ende', en: 'Drinks/min late' },
+  ignitionScore: { de: 'Zündwert', en: 'Ignition score' },
+  avgMinutesBetweenDrinks: { de: 'Ø Minuten zwischen Drinks', en: 'Avg. minutes between drinks' },
+  latePenalty: { de: 'Ø Aufschlag für späte Tipps', en: 'Avg. late-change penalty' },
+  betPoints: { de: 'Wettpunkte', en: 'Bet points' },
+  betsWon: { de: 'Gewonnene Wetten', en: 'Bets won' },
+  betsSettled: { de: 'Entschiedene Wetten', en: 'Bets settled' }
+};
+
+// Helper: Add an award definition (see AWARD_DEFINITIONS)
+function registerAward(definition) {
+  if (AWARD_DEFINITIONS.some(d => d.id === definition.id)) {
+    throw new Error(`Award ${definition.id} is already registered`);
+  }
+  AWARD_DEFINITIONS.push(definition);
+}
+
+// Helper: Whether a night takes no more predictions (also once its deadline has passed)
+function arePredictionsLocked(night) {
+  const { predictionsLocked, predictionsLockAt } = night.eventSettings;
+  return !!predictionsLocked || (!!predictionsLockAt && Date.now() >= new Date(predictionsLockAt).getTime());
+}
+
+// Helper: A night's prediction lock as sent to clients
+function getPredictionsLockInfo(night) {
+  return {
+    locked: arePredictionsLocked(night),
+    lockAt: night.eventSettings.predictionsLockAt || null,
+    lockedAt: night.eventSettings.predictionsLockedAt || null
+  };
+}
+
+// Helper: Lock (or unlock) a night's predictions, remembering when they were locked
+function setPredictionsLocked(night, locked, at = new Date().toISOString()) {
+  if (locked && !night.eventSettings.predictionsLocked) {
+    night.eventSettings.predictionsLockedAt = at;
+  }
+  night.eventSettings.predictionsLocked = locked;
+}
+
+// Auto-lock: one timer for the active night's deadline, re-armed whenever it or the night changes
+let predictionsLockTimer = null;
+const MAX_TIMER_DELAY_MS = 24 * 60 * 60 * 1000; // setTimeout can't wait much longer than 24 days
+
+// Helper: Arm the timer for the active night's prediction deadline
+function schedulePredictionsLock() {
+  clearTimeout(predictionsLockTimer);
+  predictionsLockTimer = null;
+  
+  const lockAt = getActiveNight().eventSettings.predictionsLockAt;
+  if (!lockAt) return;
+  
+  const delay = Math.max(0, Math.min(new Date(lockAt).getTime() - Date.now(), MAX_TIMER_DELAY_MS));
+  predictionsLockTimer = setTimeout(() => {
+    predictionsLockTimer = null;
+    applyPredictionsDeadline().catch(err => console.error('Failed to lock predictions:', err));
+  }, delay);
+}
+
+// Helper: Lock the active night's predictions if their deadline has come
+async function applyPredictionsDeadline() {
+  const night = getActiveNight();
+  const lockAt = night.eventSettings.predictionsLockAt;
+  if (!lockAt) return;
+  if (Date.now() < new Date(lockAt).getTime()) {
+    schedulePredictionsLock();
+    return;
+  }
+  
+  // The deadline is used up; an admin may still unlock by hand afterwards
+  night.eventSettings.predictionsLockAt = null;
+  setPredictionsLocked(night, true, lockAt);
+  await persistNight(night);
+  console.log(`🔒 Predictions locked at their deadline (${lockAt})`);
+  broadcastSSE('predictions-lock-changed', { ...getPredictionsLockInfo(night), auto: true });
+}
+
+// Helper: How a night's awards score predictions
+// mode 'latest' scores every prediction's current value, 'before-lock' the last value given
+// before predictions were locked. latePenaltyPerHour adds drinks to a prediction's error for
+// every hour between the night's first drink and when that value was given.
+function getPredictionScoring(night) {
+  const scoring = night.eventSettings.predictionScoring || {};
+  return {
+    mode: PREDICTION_SCORING_MODES.includes(scoring.mode) ? scoring.mode : 'latest',
+    latePenaltyPerHour: typeof scoring.latePenaltyPerHour === 'number' ? scoring.latePenaltyPerHour : 0
+  };
+}
+
+// Helper: Every value a prediction had, oldest first
+// Predictions from before the history was kept have their current value, undated.
+function getPredictionRevisions(prediction) {
+  return Array.isArray(prediction.history) && prediction.history.length > 0
+    ? prediction.history
+    : [{ ...getPredictionValue(prediction), at: prediction.at || null }];
+}
+
+// Prediction types: what participants can bet on. key names the fields that tell a predictor's
+// predictions of one type apart, value the fields they bet; parse() validates a request body
+// into both and settle() scores a bet as { won, points } (null while it can't be decided yet).
+// Drinks predictions are the original guess at a participant's total; the awards score them
+// by their error instead of settling them. No prototype, so a type like "constructor" is unknown.
+const PREDICTION_TYPES = Object.create(null);
+
+// Helper: Add a prediction type (see PREDICTION_TYPES)
+function registerPredictionType(definition) {
+  PREDICTION_TYPES[definition.id] = definition;
+}
+
+// Helper: Whether a value is a sensible number of drinks
+function isDrinkCount(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+// Helper: A number from a request body, where numeric strings count as numbers; anything
+// else is returned as is for the caller to reject
+function parseBodyNumber(value) {
+  return typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+}
+
+registerPredictionType({
+  id: 'drinks',
+  key: ['targetId'],
+  value: ['predictedDrinks'],
+  parse(body) {
+    if (body.predictedDrinks === undefined || body.predictedDrinks === null) {
+      return { error: 'predictedDrinks is required' };
+    }
+    // Anything but a number would turn the error maths into NaN
+    const predictedDrinks = parseBodyNumber(body.predictedDrinks);
+    if (!isDrinkCount(predictedDrinks)) {
+      return { error: 'predictedDrinks must be a number of drinks (0 or more)' };
+    }
+    return { targetId: body.targetId, predictedDrinks };
+  }
+});
+
+registerPredictionType({
+  id: 'range',
+  key: ['targetId'],
+  value: ['min', 'max'],
+  parse(body) {
+    const min = parseBodyNumber(body.min);
+    const max = parseBodyNumber(body.max);
+    if (!isDrinkCount(min) || !isDrinkCount(max) || min > max) {
+      return { error: 'min and max must be numbers of drinks with min no more than max' };
+    }
+    return { targetId: body.targetId, min, max };
+  },
+  // A hit is worth RANGE_BET_POINTS for the exact count, half for a range one drink wide, ...
+  settle(bet, context) {
+    const actual = context.actualDrinks[bet.targetId];
+    if (actual === undefined) return null;
+    const won = actual >= bet.min && actual <= bet.max;
+    return { won, points: won ? RANGE_BET_POINTS / (1 + bet.max - bet.min) : 0 };
+  }
+});
+
+registerPredictionType({
+  id: 'favourite-drink',
+  key: ['targetId'],
+  value: ['drinkName'],
+  parse(body) {
+    const drink = state.drinks.find(d => d.name === body.drinkName && !d.archivedAt);
+    if (!drink) {
+      return { error: 'drinkName must be a drink on the menu' };
+    }
+    return { targetId: body.targetId, drinkName: drink.name };
+  },
+  // Any of the target's most ordered drinks wins
+  settle(bet, context) {
+    const counts = context.drinksByName[bet.targetId] || {};
+    const most = Math.max(0, ...Object.values(counts));
+    if (most === 0) return null;
+    const won = counts[bet.drinkName] === most;
+    return { won, points: won ? FAVOURITE_DRINK_BET_POINTS : 0 };
+  }
+});
+
+registerPredictionType({
+  id: 'first-to',
+  key: ['threshold'],
+  value: ['targetId'],
+  allowsSelf: true,
+  parse(body) {
+    const threshold = body.threshold === undefined ? FIRST_TO_DEFAULT_THRESHOLD : parseBodyNumber(body.threshold);
+    if (!Number.isInteger(threshold) || threshold < 1 || threshold > FIRST_TO_MAX_THRESHOLD) {
+      return { error: `threshold must be a whole number of drinks from 1 to ${FIRST_TO_MAX_THRESHOLD}` };
+    }
+    return { threshold, targetId: body.targetId };
+  },
+  // Decided once someone has had threshold drinks; everyone who got there at that moment wins
+  settle(bet, context) {
+    const reachedAt = context.participants
+      .map(p => context.drinkTimes[p.id][bet.threshold - 1])
+      .filter(at => at !== undefined);
+    if (reachedAt.length === 0) return null;
+    const won = (context.drinkTimes[bet.targetId] || [])[bet.threshold - 1] === Math.min(...reachedAt);
+    return { won, points: won ? FIRST_TO_BET_POINTS : 0 };
+  }
+});
+
+// Helper: Type of a prediction (predictions from before bet types are drinks predictions)
+function getPredictionType(prediction) {
+  return PREDICTION_TYPES[prediction.type || 'drinks'];
+}
+
+// Helper: The fields a prediction bets
+function getPredictionValue(prediction) {
+  return Object.fromEntries(getPredictionType(prediction).value.map(field => [field, prediction[field]]));
+}
+
+// Helper: Whether two predictions are the same bet by the same predictor (values aside)
+function isSamePrediction(a, b) {
+  const type = getPredictionType(a);
+  return a.predictorId === b.predictorId && type === getPredictionType(b) && type.key.every(field => a[field] === b[field]);
+}
+
+// Helper: A prediction with its participants (its history included) passed through map
+function mapPredictionParticipants(prediction, map) {
+  const mapped = { ...prediction, predictorId: map(prediction.predictorId), targetId: map(prediction.targetId) };
+  if (Array.isArray(prediction.history)) {
+    mapped.history = prediction.history.map(revision => revision.targetId ? { ...revision, targetId: map(revision.targetId) } : revision);
+  }
+  return mapped;
+}
+
+// Helper: The revision of a prediction the awards score (null if none counts)
+function getScoredRevision(prediction, night, scoring) {
+  const revisions = getPredictionRevisions(prediction);
+  const lockedAt = night.eventSettings.predictionsLockedAt;
+  if (scoring.mode !== 'before-lock' || !lockedAt) {
+    return revisions[revisions.length - 1];
+  }
+  
+  const lockTime = new Date(lockedAt).getTime();
+  const beforeLock = revisions.filter(r => !r.at || new Date(r.at).getTime() <= lockTime);
+  return beforeLock.length > 0 ? beforeLock[beforeLock.length - 1] : null;
+}
+
+// Helper: Coverage a predictor needs to be ranked
+// If nobody reaches minCoverage, fallbackCoverage and then a single prediction will do.
+function getRequiredCoverage(context, params) {
+  const coverages = Object.values(context.predictorErrors).map(e => e.coverage);
+  return [params.minCoverage, params.fallbackCoverage].find(required => coverages.some(c => c >= required)) ?? 0.01;
+}
+
+// Helper: One entry per predictor, scored by their mean error
+function getPredictorEntries(context, params) {
+  const requiredCoverage = getRequiredCoverage(context, params);
+  return Object.entries(context.predictorErrors).map(([id, errors]) => {
+    const metrics = { mae: errors.mae, coverage: errors.coverage, predictions: errors.count };
+    if (context.latePenaltyPerHour > 0) {
+      metrics.latePenalty = errors.latePenalty;
+    }
+    return {
+      participant: context.participantsById[id],
+      score: errors.mae,
+      metrics,
+      eligible: errors.coverage >= requiredCoverage
+    };
+  });
+}
+
+registerAward({
+  id: 'kotzstempel',
+  name: { de: 'Kotzstempel', en: 'Puke Stamp' },
+  description: {
+    de: 'Die meisten Drinks konsumiert - der Champion des Abends!',
+    en: 'Drank the most - the champion of the night!'
+  },
+  params: {
+    minDrinks: { default: 0, min: 0, max: 100, integer: true, description: 'Drinks needed to win at all' }
+  },
+  score(context, params) {
+    return context.participants.map(participant => {
+      const drinks = context.actualDrinks[participant.id];
+      return { participant, score: drinks, metrics: { drinks }, eligible: drinks >= params.minDrinks };
+    });
+  }
+});
+
+registerAward({
+  id: 'spuelsuechtig',
+  name: { de: 'Spülsüchtigen', en: 'Oracle' },
+  description: {
+    de: 'Der beste Vorhersager - niedrigste durchschnittliche Abweichung bei allen Tipps.',
+    en: 'Best predictor - the smallest average error across all predictions.'
+  },
+  direction: 'min',
+  params: {
+    minCoverage: { default: 0.5, min: 0, max: 1, description: 'Share of participants a predictor must have predicted' },
+    fallbackCoverage: { default: 0.33, min: 0, max: 1, description: 'Share used when nobody reaches minCoverage' }
+  },
+  score: getPredictorEntries
+});
+
+registerAward({
+  id: 'stille-wasser',
+  name: { de: 'Stille Wasser sind tief', en: 'Still Waters Run Deep' },
+  description: {
+    de: 'Am schwersten vorherzusagen - alle anderen lagen bei dieser Person am weitesten daneben.',
+    en: 'Hardest to predict - everyone else was furthest off for this person.'
+  },
+  params: {
+    minPredictions: { default: 2, min: 1, max: 100, integer: true, description: 'Predictions about a participant needed to count' }
+  },
+  score(context, params) {
+    return context.participants.map(target => {
+      const errors = Object.values(context.predictionsMap)
+        .filter(preds => preds[target.id] !== undefined)
+        .map(preds => Math.abs(preds[target.id] - context.actualDrinks[target.id]));
+      if (errors.length === 0) return null;
+      
+      const crowdMae = errors.reduce((sum, e) => sum + e, 0) / errors.length;
+      return {
+        participant: target,
+        score: crowdMae,
+        metrics: { crowdMae, predictions: errors.length },
+        eligible: errors.length >= params.minPredictions
+      };
+    }).filter(Boolean);
+  }
+});
+
+registerAward({
+  id: 'schwarzer-peter',
+  name: { de: 'Schwarzer Peter', en: 'Old Maid' },
+  description: {
+    de: 'Der schlechteste Tippgeber - größte durchschnittliche Abweichung bei allen Vorhersagen.',
+    en: 'Worst predictor - the largest average error across all predictions.'
+  },
+  params: {
+    minCoverage: { default: 0.5, min: 0, max: 1, description: 'Share of participants a predictor must have predicted' },
+    fallbackCoverage: { default: 0.33, min: 0, max: 1, description: 'Share used when nobody reaches minCoverage' }
+  },
+  score: getPredictorEntries
+});
+
+registerAward({
+  id: 'glueckspilz',
+  name: { de: 'Glückspilz', en: 'Lucky Duck' },
+  description: {
+    de: 'Hatte keine Ahnung über sich selbst, aber trotzdem gute Vorhersagen über andere gemacht.',
+    en: 'Had no idea about themselves, yet predicted others well.'
+  },
+  params: {
+    minSelfEstimateError: { default: 3, min: 0, max: 100, description: 'How far off the self-estimate must be' },
+    maxBestPredictionError: { default: 5, min: 0, max: 100, description: 'Best prediction about someone else must be off by less than this' }
+  },
+  score(context, params) {
+    return context.participants.map(participant => {
+      const selfEstimateError = Math.abs(participant.selfEstimate - context.actualDrinks[participant.id]);
+      const predictionErrors = context.predictionErrors[participant.id] || {};
+      const errors = Object.keys(predictionErrors)
+        .filter(targetId => targetId !== participant.id)
+        .map(targetId => predictionErrors[targetId]);
+      if (errors.length === 0) return null;
+      
+      const bestPredictionError = Math.min(...errors);
+      // Higher = luckier
+      const luckScore = selfEstimateError - bestPredictionError;
+      return {
+        participant,
+        score: luckScore,
+        metrics: { selfEstimateError, bestPredictionError, luckScore },
+        eligible: selfEstimateError >= params.minSelfEstimateError && bestPredictionError < params.maxBestPredictionError
+      };
+    }).filter(Boolean);
+  }
+});
+
+registerAward({
+  id: 'eiserne-leber',
+  name: { de: 'Eiserne Leber', en: 'Iron Liver' },
+  description: {
+    de: 'Eiserne Ausdauer - hat die meisten Drinks konsumiert und steht immer noch!',
+    en: 'Iron stamina - drank the most and is still standing!'
+  },
+  params: {
+    minDrinks: { default: 5, min: 0, max: 100, integer: true, description: 'Drinks needed to win at all' }
+  },
+  score(context, params) {
+    return context.participants.map(participant => {
+      const drinks = context.actualDrinks[participant.id];
+      return { participant, score: drinks, metrics: { drinks }, eligible: drinks >= params.minDrinks };
+    });
+  }
+});
+
+registerAward({
+  id: 'spaetzuender',
+  name: { de: 'Spätzünder', en: 'Late Bloomer' },
+  description: {
+    de: 'Langsamer Start, starkes Finish - brauchte Zeit zum Aufwärmen, aber dann ging es richtig los!',
+    en: 'Slow start, strong finish - took a while to warm up, then really got going!'
+  },
+  params: {
+    minNightMinutes: { default: 60, min: 0, max: 1440, integer: true, description: 'How long the night must have run' },
+    minDrinks: { default: 3, min: 1, max: 100, integer: true, description: 'Drinks a participant needs to count' },
+    earlyWindowMinutes: { default: 30, min: 1, max: 720, integer: true, description: 'Length of the slow start, from the first drink of the night' },
+    lateWindowMinutes: { default: 60, min: 1, max: 720, integer: true, description: 'Length of the strong finish, up to now' },
+    maxEarlyRate: { default: 0.1, min: 0, max: 10, description: 'Most drinks per minute during the start' },
+    minLateRate: { default: 0.05, min: 0, max: 10, description: 'Fewest drinks per minute during the finish' }
+  },
+  score(context, params) {
+    if ((context.now - context.eventStart) / 1000 / 60 < params.minNightMinutes) {
+      return [];
+    }
+    
+    const earlyCutoff = context.eventStart.getTime() + params.earlyWindowMinutes * 60 * 1000;
+    const lateCutoff = context.now.getTime() - params.lateWindowMinutes * 60 * 1000;
+    return context.participants
+      .filter(p => context.drinkTimes[p.id].length >= params.minDrinks)
+      .map(participant => {
+        const timestamps = context.drinkTimes[participant.id];
+        
+        // Drinks per minute; higher ignitionScore = more dramatic late ignition
+        const earlyRate = timestamps.filter(t => t <= earlyCutoff).length / params.earlyWindowMinutes;
+        const lateRate = timestamps.filter(t => t >= lateCutoff).length / params.lateWindowMinutes;
+        const ignitionScore = lateRate - earlyRate;
+        return {
+          participant,
+          score: ignitionScore,
+          metrics: { earlyRate, lateRate, ignitionScore },
+          eligible: earlyRate <= params.maxEarlyRate && lateRate >= params.minLateRate
+        };
+      });
+  }
+});
+
+registerAward({
+  id: 'zeitmaschine',
+  name: { de: 'Zeitmaschine', en: 'Time Machine' },
+  description: {
+    de: 'Schnellster Trinker - kürzeste durchschnittliche Zeit zwischen den Drinks!',
+    en: 'Fastest drinker - the shortest average time between drinks!'
+  },
+  direction: 'min',
+  params: {
+    minDrinks: { default: 3, min: 2, max: 100, integer: true, description: 'Drinks a participant needs to count' },
+    maxAvgMinutes: { default: 15, min: 1, max: 720, description: 'Average minutes between drinks must be below this' }
+  },
+  score(context, params) {
+    return context.participants
+      .filter(p => context.drinkTimes[p.id].length >= params.minDrinks)
+      .map(participant => {
+        const timestamps = context.drinkTimes[participant.id];
+        const avgMinutesBetweenDrinks = (timestamps[timestamps.length - 1] - timestamps[0]) / (timestamps.length - 1) / 1000 / 60;
+        return {
+          participant,
+          score: avgMinutesBetweenDrinks,
+          metrics: { avgMinutesBetweenDrinks },
+          eligible: avgMinutesBetweenDrinks < params.maxAvgMinutes
+        };
+      });
+  }
+});
+
+registerAward({
+  id: 'wettkoenig',
+  name: { de: 'Wettkönig', en: 'Betting King' },
+  description: {
+    de: 'Die meisten Wettpunkte - lag bei Spannen, Lieblingsdrinks und dem Rennen zur Marke am besten!',
+    en: 'Most bet points - best at ranges, favourite drinks and the race to the mark!'
+  },
+  params: {
+    minBets: { default: 2, min: 1, max: 100, integer: true, description: 'Settled bets needed to win' }
+  },
+  score(context, params) {
+    return Object.entries(context.betResults).map(([id, results]) => ({
+      participant: context.participantsById[id],
+      score: results.points,
+      metrics: { betPoints: results.points, betsWon: results.won, betsSettled: results.won + results.lost },
+      eligible: results.won + results.lost >= params.minBets && results.points > 0
+    }));
+  }
+});
+
+// Helper: Facts about a night the award definitions score from
+function getAwardContext(night) {
+  const participants = night.participants;
+  const participantsById = Object.fromEntries(participants.map(p => [p.id, p]));
+  
+  // One pass over the consumptions; the awards are recomputed live on every drink
+  const drinkTimes = {}; // sorted timestamps of each participant's drinks
+  const drinksByName = {}; // drinksByName[participantId][drinkName] = count
+  participants.forEach(p => {
+    drinkTimes[p.id] = [];
+    drinksByName[p.id] = {};
+  });
+  let firstDrinkAt = Infinity;
+  night.consumptions.forEach(c => {
+    const at = new Date(c.at).getTime();
+    firstDrinkAt = Math.min(firstDrinkAt, at);
+    if (drinkTimes[c.participantId]) {
+      drinkTimes[c.participantId].push(at);
+      drinksByName[c.participantId][c.drinkName] = (drinksByName[c.participantId][c.drinkName] || 0) + 1;
+    }
+  });
+  Object.values(drinkTimes).forEach(times => times.sort((a, b) => a - b));
+  const actualDrinks = Object.fromEntries(Object.entries(drinkTimes).map(([id, times]) => [id, times.length]));
+  
+  // An archived night ended when it was archived
+  const now = night.archivedAt ? new Date(night.archivedAt) : new Date();
+  const eventStart = night.consumptions.length > 0 ? new Date(firstDrinkAt) : now;
+  
+  // The prediction value each award scores (see getPredictionScoring) and the penalty for giving it late
+  const scoring = getPredictionScoring(night);
+  const { latePenaltyPerHour } = scoring;
+  const predictionsMap = {}; // predictionsMap[predictorId][targetId] = predictedDrinks
+  const latePenalties = {}; // latePenalties[predictorId][targetId] = drinks added to the error
+  night.predictions.forEach(pred => {
+    if (getPredictionType(pred).id !== 'drinks') return;
+    const revision = getScoredRevision(pred, night, scoring);
+    if (!revision) return;
+    if (!predictionsMap[pred.predictorId]) {
+      predictionsMap[pred.predictorId] = {};
+      latePenalties[pred.predictorId] = {};
+    }
+    predictionsMap[pred.predictorId][pred.targetId] = revision.predictedDrinks;
+    const hoursLate = revision.at ? Math.max(0, new Date(revision.at) - eventStart) / 1000 / 60 / 60 : 0;
+    latePenalties[pred.predictorId][pred.targetId] = latePenaltyPerHour * hoursLate;
+  });
+  
+  // Error of every prediction about a participant, late penalty included
+  const predictionErrors = {}; // predictionErrors[predictorId][targetId]
+  Object.keys(predictionsMap).forEach(predictorId => {
+    predictionErrors[predictorId] = {};
+    participants
+      .filter(target => predictionsMap[predictorId][target.id] !== undefined)
+      .forEach(target => {
+        predictionErrors[predictorId][target.id] = Math.abs(predictionsMap[predictorId][target.id] - actualDrinks[target.id])
+          + latePenalties[predictorId][target.id];
+      });
+  });
+  
+  // Mean error of each predictor, and the share of participants they predicted
+  const predictorErrors = {};
+  Object.entries(predictionErrors).forEach(([predictorId, errorsByTarget]) => {
+    const targetIds = Object.keys(errorsByTarget);
+    if (targetIds.length > 0) {
+      predictorErrors[predictorId] = {
+        mae: targetIds.reduce((sum, id) => sum + errorsByTarget[id], 0) / targetIds.length,
+        coverage: targetIds.length / participants.length,
+        count: targetIds.length,
+        latePenalty: targetIds.reduce((sum, id) => sum + latePenalties[predictorId][id], 0) / targetIds.length
+      };
+    }
+  });
+  
+  // Every other prediction is a bet: points, and how many were won, lost or are still open, per predictor
+  const betResults = {};
+  night.predictions.forEach(pred => {
+    const type = getPredictionType(pred);
+    if (!type.settle) return;
+    const revision = getScoredRevision(pred, night, scoring);
+    if (!revision) return;
+    
+    if (!betResults[pred.predictorId]) {
+      betResults[pred.predictorId] = { points: 0, won: 0, lost: 0, open: 0 };
+    }
+    const results = betResults[pred.predictorId];
+    const outcome = type.settle({ ...pred, ...revision }, { participants, actualDrinks, drinkTimes, drinksByName });
+    if (!outcome) {
+      results.open++;
+    } else {
+      results.points += outcome.points;
+      results[outcome.won ? 'won' : 'lost']++;
+    }
+  });
+  
+  return { participants, participantsById, actualDrinks, drinkTimes, drinksByName, predictionsMap, predictionErrors, predictorErrors, betResults, latePenaltyPerHour, now, eventStart };
+}
+
+// Helper: Whether an award is on for a night, and its parameters (defaults plus the night's overrides)
+function getAwardConfig(night, definition) {
+  const override = (night.eventSettings.awards || {})[definition.id] || {};
+  const params = {};
+  Object.entries(definition.params).forEach(([key, param]) => {
+    const value = override.params ? override.params[key] : undefined;
+    params[key] = typeof value === 'number' ? value : param.default;
+  });
+  return { enabled: override.enabled !== false, params };
+}
+
+// Helper: Validate an award settings change from a request body
+// Returns { error } or { enabled, params } where a null param goes back to its default.
+function parseAwardConfig(definition, body) {
+  const result = {};
+  
+  if (body.enabled !== undefined) {
+    if (typeof body.enabled !== 'boolean') {
+      return { error: 'enabled must be true or false' };
+    }
+    result.enabled = body.enabled;
+  }
+  
+  if (body.params !== undefined) {
+    if (!body.params || typeof body.params !== 'object' || Array.isArray(body.params)) {
+      return { error: 'params must be an object' };
+    }
+    result.params = {};
+    for (const [key, value] of Object.entries(body.params)) {
+      const param = definition.params[key];
+      if (!param) {
+        return { error: `Unknown parameter ${key}. Known: ${Object.keys(definition.params).join(', ') || 'none'}` };
+      }
+      if (value === null) {
+        result.params[key] = null;
+        continue;
+      }
+      if (typeof value !== 'number' || !Number.isFinite(value) || value < param.min || value > param.max || (param.integer && !Number.isInteger(value))) {
+        return { error: `${key} must be a${param.integer ? ' whole' : ''} number from ${param.min} to ${param.max}` };
+      }
+      result.params[key] = value;
+    }
+  }
+  
+  return result;
+}
+
+// Helper: An award definition with a night's settings, as shown to admins
+function getAwardSettings(night, definition, lang) {
+  const config = getAwardConfig(night, definition);
+  return {
+    id: definition.id,
+    name: definition.name[lang],
+    description: definition.description[lang],
+    enabled: config.enabled,
+    params: Object.fromEntries(Object.entries(definition.params).map(([key, param]) => [key, {
+      value: config.params[key],
+      default: param.default,
+      min: param.min,
+      max: param.max,
+      integer: !!param.integer,
+      description: param.description
+    }]))
+  };
+}
+
+// Helper: Language for award texts from ?lang (falls back to AWARD_LANGUAGE)
+function getAwardLanguage(req) {
+  return AWARD_LANGUAGES.includes(req.query.lang) ? req.query.lang : DEFAULT_AWARD_LANGUAGE;
+}
+
+// Helper: Rank an award's entries, best first; entries that may not win come last, unranked
+// Tied scores share a rank (1, 2, 2, 4).
+function rankAwardEntries(definition, entries) {
+  const sign = definition.direction === 'min' ? 1 : -1;
+  const sorted = entries
+    .filter(entry => entry.participant)
+    .map(entry => ({ ...entry, eligible: entry.eligible !== false }))
+    .sort((a, b) => b.eligible - a.eligible || sign * (a.score - b.score));
+  
+  let rank = null;
+  return sorted.map((entry, i) => {
+    if (entry.eligible && (i === 0 || entry.score !== sorted[i - 1].score)) {
+      rank = i + 1;
+    }
+    return { ...entry, rank: entry.eligible ? rank : null };
+  });
+}
+
+// Helper: Round an award metric for display
+function roundMetric(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Helper: Rank every enabled award that has a winner, in the order they were registered
+function rankAwards(night, context = getAwardContext(night)) {
+  if (night.participants.length === 0) {
+    return [];
+  }
+  
+  return AWARD_DEFINITIONS.map(definition => {
+    const config = getAwardConfig(night, definition);
+    if (!config.enabled) return null;
+    
+    const ranking = rankAwardEntries(definition, definition.score(context, config.params));
+    return ranking.some(entry => entry.rank === 1) ? { definition, ranking } : null;
+  }).filter(Boolean);
+}
+
+// Helper: A ranked award as sent to clients
+// The numbers behind it are the metrics of every participant it ranked.
+function formatAward({ definition, ranking }, lang) {
+  const metricKeys = Object.keys(ranking[0].metrics);
+  return {
+    id: definition.id,
+    name: definition.name[lang],
+    description: definition.description[lang],
+    winners: ranking
+      .filter(entry => entry.rank === 1)
+      .map(({ participant }) => ({ name: participant.name, avatar: participant.avatar })),
+    metrics: metricKeys.map(key => ({ key, label: AWARD_METRICS[key] ? AWARD_METRICS[key][lang] : key })),
+    ranking: ranking.map(({ participant, rank, eligible, metrics }) => ({
+      rank,
+      participantId: participant.id,
+      name: participant.name,
+      avatar: participant.avatar,
+      eligible,
+      metrics: Object.fromEntries(Object.entries(metrics).map(([key, value]) => [key, roundMetric(value)]))
+    }))
+  };
+}
+
+// Helper: A formatted award as a role may see it
+// Below bartender only the winners are listed, without the numbers behind them.
+function filterAwardForRole(award, role) {
+  if (hasRole(role, 'bartender')) {
+    return award;
+  }
+  return {
+    ...award,
+    metrics: [],
+    ranking: award.ranking
+      .filter(entry => entry.rank === 1)
+      .map(entry => ({ ...entry, metrics: {} }))
+  };
+}
+
+// Helper: Drinks predictions as a target × predictor matrix, with each target's actual count
+function getPredictionMatrix(night) {
+  const participants = night.participants;
+  const predictions = night.predictions;
+  
+  const matrix = participants.map(target => {
+    const actualDrinks = getParticipantDrinkCount(target.id, night);
+    const selfEstimate = target.selfEstimate;
+    
+    const predictionsForTarget = {};
+    predictions.forEach(pred => {
+      if (pred.targetId === target.id && getPredictionType(pred).id === 'drinks') {
+        predictionsForTarget[pred.predictorId] = pred.predictedDrinks;
+      }
+    });
+    
+    return {
+      target: {
+        id: target.id,
+        name: target.name,
+        avatar: target.avatar,
+        weightKg: target.weightKg || null,
+        sex: target.sex || null
+      },
+      actualDrinks,
+      selfEstimate,
+      predictions: predictionsForTarget
+    };
+  });
+  
+  return {
+    matrix,
+    predictors: participants.map(p => ({ id: p.id, name: p.name, avatar: p.avatar }))
+  };
+}
+
+// Helper: Compute awards
+function computeAwards(night = getActiveNight(), lang = DEFAULT_AWARD_LANGUAGE) {
+  return rankAwards(night).map(award => formatAward(award, lang));
+}
+
+// Helper: Points of a prediction that is error drinks off (see SCORING_RULES)
+function getPredictionPoints(error, maxPoints) {
+  return maxPoints * Math.pow(0.5, error / SCORING_RULES.halfLifeDrinks);
+}
+
+// Helper: Leaderboard of every participant, best first
+// Each drinks prediction scores points that decay with its error (plus a bonus for an exact
+// hit) and every other participant left unpredicted costs points. The self-estimate is scored
+// on its own and bet points come on top; the total decides the rank.
+function computeLeaderboard(night, context = getAwardContext(night)) {
+  const entries = context.participants.map(participant => {
+    const errors = Object.values(context.predictionErrors[participant.id] || {});
+    const predictionPoints = errors.reduce((sum, error) => sum + getPredictionPoints(error, SCORING_RULES.maxPredictionPoints), 0);
+    const exactHits = errors.filter(error => error === 0).length;
+    const missing = Math.max(0, context.participants.length - 1 - errors.length);
+    const coveragePenalty = missing * SCORING_RULES.missingPredictionPenalty;
+    
+    const selfEstimateError = Math.abs((participant.selfEstimate || 0) - context.actualDrinks[participant.id]);
+    const selfEstimatePoints = getPredictionPoints(selfEstimateError, SCORING_RULES.maxSelfEstimatePoints);
+    const betPoints = context.betResults[participant.id] ? context.betResults[participant.id].points : 0;
+    
+    const total = predictionPoints + exactHits * SCORING_RULES.exactHitBonus - coveragePenalty + selfEstimatePoints + betPoints;
+    return {
+      participant,
+      score: total,
+      metrics: {
+        total,
+        predictionPoints,
+        exactHits,
+        exactHitBonus: exactHits * SCORING_RULES.exactHitBonus,
+        predictions: errors.length,
+        coveragePenalty,
+        selfEstimatePoints,
+        betPoints
+      }
+    };
+  });
+  
+  return rankAwardEntries({}, entries).map(({ participant, rank, metrics }) => ({
+    rank,
+    participantId: participant.id,
+    name: participant.name,
+    avatar: participant.avatar,
+    ...Object.fromEntries(Object.entries(metrics).map(([key, value]) => [key, roundMetric(value)]))
+  }));
+}
+
+// Live standings: changes that can move the awards or the leaderboard schedule one recomputation,
+// so a busy bar sends at most one awards-standings and leaderboard event per AWARD_STANDINGS_DELAY_MS.
+let awardStandingsTimer = null;
+let lastAwardRanks = { nightId: null, ranks: {} }; // ranks[awardId][participantId] = rank
+let lastLeaderboardRanks = { nightId: null, ranks: null }; // ranks[participantId] = rank
+
+// Helper: Recompute the standings soon (see AWARD_STANDINGS_DELAY_MS)
+function scheduleAwardStandings() {
+  if (awardStandingsTimer || sseClients.length === 0) return;
+  awardStandingsTimer = setTimeout(() => {
+    awardStandingsTimer = null;
+    const night = getActiveNight();
+    const context = getAwardContext(night);
+    broadcastAwardStandings(night, context);
+    broadcastLeaderboard(night, context);
+  }, AWARD_STANDINGS_DELAY_MS);
+}
+
+// Helper: Push the active night's leaderboard, with each participant's previous rank
+function broadcastLeaderboard(night, context) {
+  const previous = lastLeaderboardRanks.nightId === night.id ? lastLeaderboardRanks.ranks : null;
+  const leaderboard = computeLeaderboard(night, context);
+  lastLeaderboardRanks = { nightId: night.id, ranks: Object.fromEntries(leaderboard.map(entry => [entry.participantId, entry.rank])) };
+  
+  leaderboard.forEach(entry => {
+    entry.previousRank = previous ? previous[entry.participantId] ?? null : entry.rank;
+  });
+  broadcastSSE('leaderboard', { nightId: night.id, at: new Date().toISOString(), leaderboard });
+}
+
+// Helper: Push the active night's award standings, with each participant's previous rank
+// (null when they weren't ranked before; the first standings of a night show no changes)
+function broadcastAwardStandings(night, context) {
+  const previous = lastAwardRanks.nightId === night.id ? lastAwardRanks.ranks : null;
+  const ranked = rankAwards(night, context);
+  
+  const ranks = {};
+  ranked.forEach(({ definition, ranking }) => {
+    ranks[definition.id] = Object.fromEntries(ranking.map(entry => [entry.participant.id, entry.rank]));
+  });
+  lastAwardRanks = { nightId: night.id, ranks };
+  
+  // Only the languages someone is listening in
+  const langs = [...new Set(sseClients.map(client => client.lang))];
+  const standings = {};
+  langs.forEach(lang => {
+    standings[lang] = {
+      nightId: night.id,
+      at: new Date().toISOString(),
+      awards: ranked.map(award => {
+        const formatted = formatAward(award, lang);
+        const previousRanks = previous ? previous[award.definition.id] || {} : null;
+        formatted.ranking.forEach(entry => {
+          entry.previousRank = previousRanks ? previousRanks[entry.participantId] ?? null : entry.rank;
+        });
+        return formatted;
+      })
+    };
+  });
+  broadcastSSE('awards-standings', standings);
+}
+
+// Routes
+app.get('/', (req, res) => {
+  res.redirect('/dashboard');
+});
+
+app.get('/dashboard', (req, res) => {
+  res.sendFile(join(__dirname, 'public', 'dashboard.html'));
+});
+
+app.get('/control', (req, res) => {
+  res.sendFile(join(__dirname, 'public', 'control.html'));
+});
+
+// SSE endpoint
+app.get('/events', requireRole('guest'), (req, res) => {
+  // Clients may pin a night (?night=<id>); otherwise they follow the active night
+  const night = getRequestedNight(req);
+  if (!night) {
+    return res.status(404).json({ error: 'Night not found' });
+  }
+  const nightId = req.query.night ? night.id : null;
+  
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  // Removed CORS header for security - same-origin only
+  
+  // Add client with its role (for filtering sensitive events) and award language (?lang)
+  const client = { res, role: req.role, nightId, lang: getAwardLanguage(req) };
+  sseClients.push(client);
+  console.log(`SSE client connected (${sseClients.length} total, role: ${client.role})`);
+  
+  // Send initial stats
+  res.write(`event: stats\ndata: ${JSON.stringify(getStatsSignal(night))}\n\n`);
+  
+  // Setup heartbeat
+  const heartbeatInterval = setInterval(() => {
+    try {
+      res.write(`event: heartbeat\ndata: ${JSON.stringify({ time: new Date().toISOString() })}\n\n`);
+    } catch (err) {
+      clearInterval(heartbeatInterval);
+    }
+  }, 15000);
+  
+  // Handle disconnect
+  req.on('close', () => {
+    clearInterval(heartbeatInterval);
+    sseClients = sseClients.filter(c => c.res !== res);
+    console.log(`SSE client disconnected (${sseClients.length} remaining)`);
+  });
+});
+
+// Get all drinks in display order (?includeArchived=true adds archived ones, e.g. for chart history)
+app.get('/drinks', requireRole('guest'), (req, res) => {
+  res.json(getOrderedDrinks(req.query.includeArchived === 'true'));
+});
+
+// Create a drink
+app.post('/drinks', requireRole('bartender'), async (req, res) => {
+  const { name, emoji, imageUrl, color } = req.body;
+  
+  if (typeof name !== 'string' || name.trim() === '') {
+    return res.status(400).json({ error: 'Drink name is required' });
+  }
+  
+  const alcohol = parseDrinkAlcohol(req.body);
+  if (alcohol.error) {
+    return res.status(400).json({ error: alcohol.error });
+  }
+  
+  const category = parseDrinkCategory(req.body);
+  if (category.error) {
+    return res.status(400).json({ error: category.error });
+  }
+  
+  const price = parseDrinkPrice(req.body);
+  if (price.error) {
+    return res.status(400).json({ error: price.error });
+  }
+  
+  // Check if drink already exists
+  const existing = state.drinks.find(d => d.name.toLowerCase() === name.trim().toLowerCase());
+  if (existing) {
+    const error = existing.archivedAt
+      ? 'An archived drink has this name. Restore it instead.'
+      : 'Drink with this name already exists';
+    return res.status(409).json({ error });
+  }
+  
+  const drink = {
+    name: name.trim(),
+    emoji: emoji || '',
+    imageUrl: imageUrl || '',
+    color: color || '#8B5CF6',
+    volumeMl: null,
+    abv: null,
+    category: null,
+    price: null,
+    ...alcohol.fields,
+    ...category.fields,
+    ...price.fields,
+    order: getNextDrinkOrder(),
+    archivedAt: null
+  };
+  
+  state.drinks.push(drink);
+  await persistDrink(drink);
+  
+  // Broadcast to all SSE clients
+  broadcastSSE('drink-added', drink);
+  
+  res.status(201).json(drink);
+});
+
+// Edit a drink (protected)
+// Accepts name, emoji, imageUrl, color, category, price, volumeMl, abv, order (position among
+// active drinks, 0-based) and archived (false restores an archived drink).
+app.patch('/drinks/:name', requireRole('admin'), async (req, res) => {
+  const drink = state.drinks.find(d => d.name === req.params.name);
+  if (!drink) {
+    return res.status(404).json({ error: 'Drink not found' });
+  }
+  
+  const { name, emoji, imageUrl, color, order, archived } = req.body;
+  
+  // Validate everything before changing anything
+  const newName = name !== undefined ? String(name).trim() : drink.name;
+  if (newName === '') {
+    return res.status(400).json({ error: 'Drink name is required' });
+  }
+  if (newName !== drink.name &&
+      state.drinks.some(d => d !== drink && d.name.toLowerCase() === newName.toLowerCase())) {
+    return res.status(409).json({ error: 'Drink with this name already exists' });
+  }
+  
+  const alcohol = parseDrinkAlcohol(req.body);
+  if (alcohol.error) {
+    return res.status(400).json({ error: alcohol.error });
+  }
+  
+  const category = parseDrinkCategory(req.body);
+  if (category.error) {
+    return res.status(400).json({ error: category.error });
+  }
+  
+  const price = parseDrinkPrice(req.body);
+  if (price.error) {
+    return res.status(400).json({ error: price.error });
+  }
+  
+  if (order !== undefined && !Number.isInteger(order)) {
+    return res.status(400).json({ error: 'order must be an integer' });
+  }
+  if (archived !== undefined && typeof archived !== 'boolean') {
+    return res.status(400).json({ error: 'archived must be true or false' });
+  }
+  
+  const previousName = drink.name;
+  if (newName !== previousName) {
+    // Drinks are keyed by name, so the history and favourite-drink bets have to follow the rename
+    drink.name = newName;
+    await unpersistDrink(previousName);
+    for (const night of state.nights) {
+      for (const consumption of night.consumptions.filter(c => c.drinkName === previousName)) {
+        consumption.drinkName = newName;
+        await persistItem('consumptions', consumption, night);
+      }
+      const bets = night.predictions.filter(p => p.type === 'favourite-drink' &&
+        getPredictionRevisions(p).some(revision => revision.drinkName === previousName));
+      for (const prediction of bets) {
+        if (prediction.drinkName === previousName) prediction.drinkName = newName;
+        if (Array.isArray(prediction.history)) {
+          prediction.history = prediction.history.map(revision => revision.drinkName === previousName ? { ...revision, drinkName: newName } : revision);
+        }
+        await persistItem('predictions', prediction, night);
+      }
+    }
+  }
+  
+  if (emoji !== undefined) drink.emoji = emoji || '';
+  if (imageUrl !== undefined) drink.imageUrl = imageUrl || '';
+  if (color !== undefined) drink.color = color || '#8B5CF6';
+  Object.assign(drink, alcohol.fields, category.fields, price.fields);
+  if (archived !== undefined) {
+    drink.archivedAt = archived ? (drink.archivedAt || new Date().toISOString()) : null;
+  }
+  
+  // Moving renumbers the other drinks too
+  const moved = order !== undefined && !drink.archivedAt ? moveDrink(drink, order) : [];
+  for (const other of moved.filter(d => d !== drink)) {
+    await persistDrink(other);
+  }
+  await persistDrink(drink);
+  
+  broadcastSSE('drink-updated', { ...drink, previousName });
+  
+  // A rename or new category changes the chart series
+  if (newName !== previousName || category.fields.category !== undefined) {
+    broadcastSSE('stats', getStatsSignal());
+  }
+  
+  res.json(drink);
+});
+
+// Delete a drink (protected)
+// Drinks that were ever consumed are archived instead, so their history and
+// chart series stay intact; archived drinks just can't be logged any more.
+app.delete('/drinks/:name', requireRole('admin'), async (req, res) => {
+  const index = state.drinks.findIndex(d => d.name === req.params.name);
+  if (index === -1) {
+    return res.status(404).json({ error: 'Drink not found' });
+  }
+  
+  const drink = state.drinks[index];
+  const hasHistory = state.nights.some(night => night.consumptions.some(c => c.drinkName === drink.name));
+  
+  if (hasHistory) {
+    drink.archivedAt = drink.archivedAt || new Date().toISOString();
+    await persistDrink(drink);
+  } else {
+    state.drinks.splice(index, 1);
+    await unpersistDrink(drink.name);
+  }
+  
+  broadcastSSE('drink-removed', { name: drink.name, archived: hasHistory });
+  res.json({ success: true, archived: hasHistory, drink });
+});
+
+// Record consumption
+app.post('/consume', requireRole('guest'), async (req, res) => {
+  const { drinkName, participantId } = req.body;
+  
+  if (!drinkName) {
+    return res.status(400).json({ error: 'drinkName is required' });
+  }
+  
+  // Verify drink exists (archived drinks can't be logged any more)
+  const drink = state.drinks.find(d => d.name === drinkName && !d.archivedAt);
+  if (!drink) {
+    return res.status(404).json({ error: 'Drink not found' });
+  }
+  
+  const night = getActiveNight();
+  
+  // A participantId left over from a previous night must not leak into this one
+  const participant = participantId ? night.participants.find(p => p.id === participantId) : null;
+  if (participantId && !participant) {
+    return res.status(404).json({ error: 'Participant not found' });
+  }
+  if (participantId && !canActFor(req, participantId)) {
+    return res.status(403).json({ error: `This phone isn't linked to ${participant.name}. Scan the claim code from their old phone or ask a bartender.` });
+  }
+  const bacBefore = participant ? getBacReport(participant, night).bac : null;
+  
+  const consumption = {
+    id: generateId(),
+    drinkName,
+    at: new Date().toISOString()
+  };
+  
+  // Include participantId if provided
+  if (participantId) {
+    consumption.participantId = participantId;
+  }
+  
+  night.consumptions.push(consumption);
+  await persistItem('consumptions', consumption, night);
+  rememberUndoable(req, consumption);
+  
+  // Broadcast to all SSE clients
+  broadcastSSE('consumption', consumption);
+  
+  // Also send updated stats
+  broadcastSSE('stats', getStatsSignal());
+  
+  if (participant) {
+    broadcastBacWarning(participant, bacBefore, night);
+  }
+  
+  res.status(201).json(consumption);
+});
+
+// Record event
+app.post('/event', requireRole('guest'), async (req, res) => {
+  const { label, color } = req.body;
+  
+  if (typeof label !== 'string' || label.trim() === '') {
+    return res.status(400).json({ error: 'Event label is required' });
+  }
+  
+  const event = {
+    id: generateId(),
+    label: label.trim(),
+    color: color || '#F59E0B', // Default amber color
+    at: new Date().toISOString()
+  };
+  
+  getActiveNight().events.push(event);
+  await persistItem('events', event);
+  
+  // Broadcast to all SSE clients
+  broadcastSSE('event', event);
+  
+  // Also send updated stats
+  broadcastSSE('stats', getStatsSignal());
+  
+  res.status(201).json(event);
+});
+
+// Manual snapshot endpoints (protected)
+app.post('/api/snapshot', requireRole('admin'), async (req, res) => {
+  try {
+    const filename = await saveSnapshot();
+    res.json({ message: 'Snapshot created', filename });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to create snapshot', details: err.message });
+  }
+});
+
+app.get('/api/snapshot/latest', requireRole('admin'), async (req, res) => {
+  try {
+    if (!existsSync(SNAPSHOT_DIR)) {
+      return res.status(404).json({ error: 'No snapshots available' });
+    }
+    
+    const snapshots = await listSnapshots();
+    
+    if (snapshots.length === 0) {
+      return res.status(404).json({ error: 'No snapshots found' });
+    }
+    
+    const latestSnapshot = snapshots[0];
+    const snapshotPath = join(SNAPSHOT_DIR, latestSnapshot);
+    
+    res.download(snapshotPath, latestSnapshot);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to retrieve snapshot', details: err.message });
+  }
+});
+
+// Go back to the newest snapshot as it was taken (the journal on top of it is the current state)
+app.post('/api/snapshot/restore', requireRole('admin'), async (req, res) => {
+  try {
+    const snapshots = await listSnapshots();
+    if (snapshots.length === 0) {
+      return res.status(404).json({ error: 'No snapshot available to restore' });
+    }
+    
+    const restoredState = await readSnapshot(snapshots[0]);
+    if (!restoredState) {
+      return res.status(422).json({ error: 'Invalid snapshot format' });
+    }
+    
+    const backup = await replaceState(restoredState);
+    
+    console.log(`✓ Restored snapshot ${snapshots[0]} (previous state saved as ${backup})`);
+    res.json({ message: 'Snapshot restored successfully', restored: snapshots[0], backup });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to restore snapshot', details: err.message });
+  }
+});
+
+// Snapshot browser (protected)
+app.get('/api/snapshots', requireRole('admin'), async (req, res) => {
+  try {
+    const names = await listSnapshots();
+    const snapshots = [];
+    
+    for (const name of names) {
+      const fileStat = await stat(join(SNAPSHOT_DIR, name));
+      try {
+        const snapshot = await readSnapshot(name);
+        snapshots.push({
+          name,
+          takenAt: getSnapshotTime(name),
+          size: fileStat.size,
+          valid: !!snapshot,
+          counts: snapshot ? getStateCounts(snapshot) : null
+        });
+      } catch (err) {
+        snapshots.push({ name, takenAt: getSnapshotTime(name), size: fileStat.size, valid: false, counts: null });
+      }
+    }
+    
+    res.json(snapshots);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to list snapshots', details: err.message });
+  }
+});
+
+// Diff two snapshots; "to" defaults to the current state
+app.get('/api/snapshots/diff', requireRole('admin'), async (req, res) => {
+  const { from, to } = req.query;
+  
+  if (!from || !isSnapshotName(from) || (to && to !== 'current' && !isSnapshotName(to))) {
+    return res.status(400).json({ error: 'from (and optionally to) must be snapshot names' });
+  }
+  
+  try {
+    const names = await listSnapshots();
+    if (!names.includes(from) || (to && to !== 'current' && !names.includes(to))) {
+      return res.status(404).json({ error: 'Snapshot not found' });
+    }
+    
+    const before = await readSnapshot(from);
+    const after = to && to !== 'current' ? await readSnapshot(to) : state;
+    if (!before || !after) {
+      return res.status(422).json({ error: 'Invalid snapshot format' });
+    }
+    
+    res.json({
+      from,
+      to: to || 'current',
+      ...diffStates(before, after)
+    });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to diff snapshots', details: err.message });
+  }
+});
+
+app.get('/api/snapshots/:name', requireRole('admin'), async (req, res) => {
+  const { name } = req.params;
+  
+  if (!isSnapshotName(name) || !(await listSnapshots()).includes(name)) {
+    return res.status(404).json({ error: 'Snapshot not found' });
+  }
+  
+  res.download(join(SNAPSHOT_DIR, name), name);
+});
+
+app.post('/api/snapshots/:name/restore', requireRole('admin'), async (req, res) => {
+  const { name } = req.params;
+  
+  try {
+    if (!isSnapshotName(name) || !(await listSnapshots()).includes(name)) {
+      return res.status(404).json({ error: 'Snapshot not found' });
+    }
+    
+    const restoredState = await readSnapshot(name);
+    if (!restoredState) {
+      return res.status(422).json({ error: 'Invalid snapshot format' });
+    }
+    
+    const backup = await replaceState(restoredState);
+    
+    console.log(`✓ Restored snapshot ${name} (previous state saved as ${backup})`);
+    res.json({ message: 'Snapshot restored successfully', restored: name, backup });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to restore snapshot', details: err.message });
+  }
+});
+
+// Import a snapshot file (mode=merge adds what's missing, mode=replace swaps the whole state)
+app.post('/api/snapshot/import', requireRole('admin'), snapshotUpload.single('snapshot'), async (req, res) => {
+  const mode = req.body.mode || 'merge';
+  
+  if (mode !== 'merge' && mode !== 'replace') {
+    return res.status(400).json({ error: 'mode must be "merge" or "replace"' });
+  }
+  
+  if (!req.file) {
+    return res.status(400).json({ error: 'No snapshot file uploaded' });
+  }
+  
+  let raw;
+  try {
+    raw = JSON.parse(req.file.buffer.toString('utf8'));
+  } catch (err) {
+    return res.status(400).json({ error: 'Snapshot is not valid JSON', details: err.message });
+  }
+  
+  const { state: imported, version, errors } = parseSnapshot(raw);
+  if (!imported) {
+    return res.status(422).json({ error: 'Invalid snapshot', schemaVersion: version, details: errors });
+  }
+  
+  try {
+    const result = {
+      mode,
+      schemaVersion: version,
+      migrated: version < SNAPSHOT_SCHEMA_VERSION
+    };
+    
+    if (mode === 'replace') {
+      result.backup = await replaceState(imported);
+      result.counts = getStateCounts(state);
+    } else {
+      result.added = mergeState(imported);
+      await persistFullState();
+      await saveSnapshot();
+      broadcastRestore();
+    }
+    
+    console.log(`✓ Imported snapshot ${req.file.originalname} (${mode}, schema v${version})`);
+    res.json(result);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to import snapshot', details: err.message });
+  }
+});
+
+// New page routes
+app.get('/join', (req, res) => {
+  res.sendFile(join(__dirname, 'public', 'join.html'));
+});
+
+app.get('/predictions', (req, res) => {
+  res.sendFile(join(__dirname, 'public', 'predictions.html'));
+});
+
+app.get('/matrix', (req, res) => {
+  res.sendFile(join(__dirname, 'public', 'matrix.html'));
+});
+
+app.get('/awards', (req, res) => {
+  res.sendFile(join(__dirname, 'public', 'awards.html'));
+});
+
+app.get('/race', (req, res) => {
+  res.sendFile(join(__dirname, 'public', 'race.html'));
+});
+
+app.get('/leaderboard', (req, res) => {
+  res.sendFile(join(__dirname, 'public', 'leaderboard.html'));
+});
+
+app.get('/settle', (req, res) => {
+  res.sendFile(join(__dirname, 'public', 'settle.html'));
+});
+
+app.get('/report', (req, res) => {
+  res.sendFile(join(__dirname, 'public', 'report.html'));
+});
+
+// Passcode management
+app.post('/api/passcode', requireRole('admin'), async (req, res) => {
+  const { passcode } = req.body;
+  
+  if (typeof passcode !== 'string' || passcode.trim() === '') {
+    return res.status(400).json({ error: 'Passcode is required' });
+  }
+  
+  // Only allow setting passcode if not already set
+  if (state.auth.roles.admin.passcodeHash) {
+    return res.status(403).json({ error: 'Passcode already set. Cannot overwrite.' });
+  }
+  
+  state.auth.roles.admin.passcodeHash = await hashPasscode(passcode);
+  await persistSetting('auth');
+  
+  // Terminate all SSE connections to force re-authentication
+  sseClients.forEach(client => {
+    try {
+      client.res.end();
+    } catch (err) {
+      console.error('Error closing SSE connection:', err);
+    }
+  });
+  sseClients = [];
+  
+  // Regenerate session and authenticate
+  await startRoleSession(req, 'admin');
+  res.json({ message: 'Passcode set successfully', role: 'admin' });
+});
+
+app.post('/api/passcode/verify', limitPasscodeAttempts, async (req, res) => {
+  const { passcode } = req.body;
+  
+  if (typeof passcode !== 'string' || !passcode) {
+    return res.status(400).json({ error: 'Passcode is required' });
+  }
+  
+  const role = await getPasscodeRole(passcode);
+  
+  // Regenerate session and sign in with the passcode's role if valid
+  if (role) {
+    clearPasscodeFailures(req);
+    await startRoleSession(req, role);
+  } else {
+    recordPasscodeFailure(req);
+  }
+  res.json({ valid: !!role, role });
+});
+
+// Change the admin passcode (protected); signs out every other admin device
+app.post('/api/passcode/change', requireRole('admin'), limitPasscodeAttempts, async (req, res) => {
+  const { currentPasscode, newPasscode } = req.body;
+  
+  if (typeof newPasscode !== 'string' || newPasscode.trim() === '') {
+    return res.status(400).json({ error: 'newPasscode is required' });
+  }
+  
+  if (currentPasscode !== undefined && typeof currentPasscode !== 'string') {
+    return res.status(400).json({ error: 'currentPasscode must be text' });
+  }
+  
+  if (!await checkPasscodeHash(currentPasscode || '', state.auth.roles.admin.passcodeHash)) {
+    recordPasscodeFailure(req);
+    return res.status(403).json({ error: 'Current passcode is incorrect' });
+  }
+  
+  if (await isPasscodeTaken(newPasscode, 'admin')) {
+    return res.status(409).json({ error: 'Another role already uses this passcode' });
+  }
+  
+  state.auth.roles.admin.passcodeHash = await hashPasscode(newPasscode);
+  await persistSetting('auth');
+  
+  clearPasscodeFailures(req);
+  await startRoleSession(req, 'admin');
+  const signedOut = await endRoleSessions('admin', req.sessionID);
+  res.json({ message: 'Passcode changed', signedOut });
+});
+
+// Recover a lost admin passcode with the reset token from the server console
+app.post('/api/passcode/reset', limitPasscodeAttempts, async (req, res) => {
+  const { token, newPasscode } = req.body;
+  
+  if (typeof newPasscode !== 'string' || newPasscode.trim() === '') {
+    return res.status(400).json({ error: 'newPasscode is required' });
+  }
+  
+  const expected = Buffer.from(passcodeResetToken);
+  const actual = Buffer.from(typeof token === 'string' ? token : '');
+  if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) {
+    recordPasscodeFailure(req);
+    return res.status(403).json({ error: 'Invalid reset token' });
+  }
+  
+  if (await isPasscodeTaken(newPasscode, 'admin')) {
+    return res.status(409).json({ error: 'Another role already uses this passcode' });
+  }
+  
+  state.auth.roles.admin.passcodeHash = await hashPasscode(newPasscode);
+  await persistSetting('auth');
+  
+  // Each token works once
+  passcodeResetToken = generateId();
+  console.log(`🔑 Admin passcode was reset. New reset token: ${passcodeResetToken}`);
+  
+  await startRoleSession(req, 'admin');
+  const signedOut = await endRoleSessions('admin', req.sessionID);
+  res.json({ message: 'Passcode reset', role: 'admin', signedOut });
+});
+
+// Sign in through a role's invite link, then go where that role starts
+app.get('/invite/:token', async (req, res) => {
+  const role = getInviteRole(req.params.token);
+  if (!role) {
+    return res.status(404).send('This invite link is invalid or has been revoked.');
+  }
+  
+  await startRoleSession(req, role);
+  res.redirect({ admin: '/matrix', bartender: '/control', guest: '/join' }[role]);
+});
+
+// Role credentials (protected)
+app.get('/api/roles', requireRole('admin'), (req, res) => {
+  res.json(ROLES.map(role => ({
+    role,
+    hasPasscode: !!state.auth.roles[role].passcodeHash,
+    invitePath: state.auth.roles[role].inviteToken ? `/invite/${state.auth.roles[role].inviteToken}` : null
+  })));
+});
+
+// Set or (with an empty passcode) remove the passcode of the bartender or guest role
+app.post('/api/roles/:role/passcode', requireRole('admin'), async (req, res) => {
+  const { role } = req.params;
+  const passcode = typeof req.body.passcode === 'string' ? req.body.passcode.trim() : '';
+  
+  if (!ROLES.includes(role)) {
+    return res.status(404).json({ error: 'Role not found' });
+  }
+  if (role === 'admin') {
+    return res.status(400).json({ error: 'The admin passcode is set with /api/passcode' });
+  }
+  
+  // A passcode has to say which role it signs in as
+  if (passcode && await isPasscodeTaken(passcode, role)) {
+    return res.status(409).json({ error: 'Another role already uses this passcode' });
+  }
+  
+  const passcodeHash = passcode ? await hashPasscode(passcode) : null;
+  state.auth.roles[role].passcodeHash = passcodeHash;
+  await persistSetting('auth');
+  
+  res.json({ role, hasPasscode: !!passcodeHash });
+});
+
+// Create (or replace) a role's invite link; the old link stops working
+app.post('/api/roles/:role/invite', requireRole('admin'), async (req, res) => {
+  const { role } = req.params;
+  if (!ROLES.includes(role)) {
+    return res.status(404).json({ error: 'Role not found' });
+  }
+  
+  state.auth.roles[role].inviteToken = generateId();
+  await persistSetting('auth');
+  
+  res.status(201).json({ role, invitePath: `/invite/${state.auth.roles[role].inviteToken}` });
+});
+
+app.delete('/api/roles/:role/invite', requireRole('admin'), async (req, res) => {
+  const { role } = req.params;
+  if (!ROLES.includes(role)) {
+    return res.status(404).json({ error: 'Role not found' });
+  }
+  
+  state.auth.roles[role].inviteToken = null;
+  await persistSetting('auth');
+  
+  res.json({ role, invitePath: null });
+});
+
+// Sign in through a one-time join invite (e.g. scanned from the dashboard), then join
+app.get('/join/:token', async (req, res) => {
+  const invite = getJoinInvite(req.params.token);
+  if (!invite) {
+    return res.status(404).send('This join link is invalid, expired, revoked or already used.');
+  }
+  
+  state.auth.joinInvites = state.auth.joinInvites.filter(i => i !== invite);
+  await persistSetting('auth');
+  
+  if (!getRole(req)) {
+    await startRoleSession(req, 'guest');
+  }
+  res.redirect('/join');
+});
+
+// One-time join invites (protected)
+app.get('/api/join-invites', requireRole('bartender'), (req, res) => {
+  pruneJoinInvites();
+  res.json(state.auth.joinInvites.map(getJoinInviteInfo));
+});
+
+app.post('/api/join-invites', requireRole('bartender'), async (req, res) => {
+  const minutes = req.body.expiresInMinutes ?? JOIN_INVITE_TTL_MIN;
+  if (!Number.isInteger(minutes) || minutes < 1 || minutes > JOIN_INVITE_MAX_TTL_MIN) {
+    return res.status(400).json({ error: `expiresInMinutes must be a whole number from 1 to ${JOIN_INVITE_MAX_TTL_MIN}` });
+  }
+  
+  const now = new Date();
+  const invite = {
+    id: generateId(),
+    token: generateId(),
+    createdAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + minutes * 60 * 1000).toISOString()
+  };
+  pruneJoinInvites();
+  state.auth.joinInvites.push(invite);
+  await persistSetting('auth');
+  
+  res.status(201).json(getJoinInviteInfo(invite));
+});
+
+app.delete('/api/join-invites/:id', requireRole('bartender'), async (req, res) => {
+  const invite = state.auth.joinInvites.find(i => i.id === req.params.id);
+  if (!invite) {
+    return res.status(404).json({ error: 'Join invite not found' });
+  }
+  
+  state.auth.joinInvites = state.auth.joinInvites.filter(i => i !== invite);
+  await persistSetting('auth');
+  
+  res.json({ message: 'Join invite revoked' });
+});
+
+// QR code of the join URL (?format=svg|png, ?invite=<token> for a one-time invite)
+app.get('/api/join-qr', requireRole('guest'), async (req, res) => {
+  const format = req.query.format || 'svg';
+  if (!QR_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `format must be one of: ${QR_FORMATS.join(', ')}` });
+  }
+  
+  const invite = req.query.invite ? getJoinInvite(req.query.invite) : null;
+  if (req.query.invite && !invite) {
+    return res.status(404).json({ error: 'Join invite not found or expired' });
+  }
+  
+  await sendQrCode(res, getJoinUrl(invite), format);
+});
+
+// Avatar upload endpoint
+// Whatever comes in is stored as a square JPEG thumbnail without EXIF data (e.g. GPS).
+app.post('/api/upload-avatar', requireRole('guest'), (req, res) => {
+  upload.single('avatar')(req, res, async (err) => {
+    if (err) {
+      const tooLarge = err.code === 'LIMIT_FILE_SIZE';
+      return res.status(tooLarge ? 413 : 400).json({ error: tooLarge ? 'Photos can be up to 5MB' : err.message });
+    }
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+    
+    if (!getImageType(req.file.buffer)) {
+      return res.status(400).json({ error: 'Only JPEG, PNG, GIF and WebP images are allowed' });
+    }
+    
+    let thumbnail;
+    try {
+      thumbnail = await createAvatarThumbnail(req.file.buffer);
+    } catch (err) {
+      return res.status(400).json({ error: 'This image could not be read' });
+    }
+    
+    const filename = `avatar-${generateId()}.jpg`;
+    try {
+      await writeFile(join(uploadsDir, filename), thumbnail);
+    } catch (err) {
+      return res.status(500).json({ error: 'Failed to save photo', details: err.message });
+    }
+    
+    // Return the URL path to the uploaded file
+    const avatarUrl = `/uploads/avatars/${filename}`;
+    res.json({ avatarUrl });
+  });
+});
+
+// Participant management (protected)
+app.get('/api/participants', requireRole('bartender'), (req, res) => {
+  const night = getRequestedNight(req);
+  if (!night) {
+    return res.status(404).json({ error: 'Night not found' });
+  }
+  res.json(night.participants);
+});
+
+app.post('/api/participants', requireRole('guest'), async (req, res) => {
+  const { name, avatar, selfEstimate } = req.body;
+  
+  if (!name || cleanName(name) === '') {
+    return res.status(400).json({ error: 'Name is required' });
+  }
+  
+  const profile = parseBodyProfile(req.body);
+  if (profile.error) {
+    return res.status(400).json({ error: profile.error });
+  }
+  
+  const night = getActiveNight();
+  
+  // Check if participant with this name already exists
+  const existing = findParticipantByName(night, name);
+  
+  // Joining under a taken name would hand over that participant
+  if (existing && !canActFor(req, existing.id)) {
+    return res.status(409).json({ error: `${existing.name} has already joined. To switch phones, scan the claim code from their old phone.` });
+  }
+  
+  if (existing) {
+    // Update existing participant
+    existing.avatar = avatar || existing.avatar;
+    existing.selfEstimate = selfEstimate !== undefined ? selfEstimate : existing.selfEstimate;
+    existing.weightKg = profile.fields.weightKg || existing.weightKg || null;
+    existing.sex = profile.fields.sex || existing.sex || null;
+    await persistItem('participants', existing, night);
+    bindParticipant(req, existing.id);
+    
+    broadcastSSE('participant-updated', existing);
+    // nightId lets the joining device notice when the host switches nights
+    return res.json({ ...existing, nightId: night.id });
+  }
+  
+  // Create new participant
+  const participant = {
+    id: generateId(),
+    name: cleanName(name),
+    avatar: avatar || '',
+    selfEstimate: selfEstimate || 0,
+    weightKg: null,
+    sex: null,
+    ...profile.fields
+  };
   
-  // Send initial stats
-  const stats = getAggregatedStats();
-  res.write(`event: stats\ndata: ${JSON.stringify(stats)}\n\n`);
+  night.participants.push(participant);
+  await persistItem('participants', participant, night);
+  broadcastSSE('participant-added', participant);
   
-  // Setup heartbeat
-  const heartbeatInterval = setInterval(() => {
-    try {
-      res.write(`event: heartbeat\ndata: ${JSON.stringify({ time: new Date().toISOString() })}\n\n`);
-    } catch (err) {
-      clearInterval(heartbeatInterval);
-    }
-  }, 15000);
+  // Guests may log drinks for the participant they joined as
+  bindParticipant(req, participant.id);
   
-  // Handle disconnect
-  req.on('close', () => {
-    clearInterval(heartbeatInterval);
-    sseClients = sseClients.filter(c => c.res !== res);
-    console.log(`SSE client disconnected (${sseClients.length} remaining)`);
-  });
-});
-
-// Get all drinks
-app.get('/drinks', (req, res) => {
-  res.json(state.drinks);
+  res.status(201).json({ ...participant, nightId: night.id });
 });
 
-// Create a drink
-app.post('/drinks', (req, res) => {
-  const { name, emoji, imageUrl, color } = req.body;
+app.patch('/api/participants/:id', requireRole('guest'), async (req, res) => {
+  const { id } = req.params;
+  const { selfEstimate, name, avatar } = req.body;
   
-  if (!name || name.trim() === '') {
-    return res.status(400).json({ error: 'Drink name is required' });
+  const night = getActiveNight();
+  const participant = night.participants.find(p => p.id === id);
+  if (!participant) {
+    return res.status(404).json({ error: 'Participant not found' });
   }
   
-  // Check if drink already exists
-  const exists = state.drinks.some(d => d.name.toLowerCase() === name.toLowerCase());
-  if (exists) {
-    return res.status(409).json({ error: 'Drink with this name already exists' });
+  if (!canActFor(req, id)) {
+    return res.status(403).json({ error: 'Guests can only change their own profile' });
   }
   
-  const drink = {
-    name: name.trim(),
-    emoji: emoji || '',
-    imageUrl: imageUrl || '',
-    color: color || '#8B5CF6'
-  };
+  // Names and photos are fixed up by admins, e.g. a typo made when joining
+  if ((name !== undefined || avatar !== undefined) && !hasRole(req.role, 'admin')) {
+    return res.status(403).json({ error: 'Only admins can rename participants or change their photo' });
+  }
+  if (name !== undefined) {
+    if (typeof name !== 'string' || cleanName(name) === '') {
+      return res.status(400).json({ error: 'Name is required' });
+    }
+    const taken = findParticipantByName(night, name, id);
+    if (taken) {
+      return res.status(409).json({ error: `${taken.name} already exists. Merge the two instead.` });
+    }
+  }
+  if (avatar !== undefined && typeof avatar !== 'string') {
+    return res.status(400).json({ error: 'avatar must be a URL or empty' });
+  }
   
-  state.drinks.push(drink);
+  // The self-estimate is part of the prediction game; weight and sex can change any time
+  if (selfEstimate !== undefined && arePredictionsLocked(night)) {
+    return res.status(403).json({ error: 'Predictions are locked' });
+  }
   
-  // Broadcast to all SSE clients
-  broadcastSSE('drink-added', drink);
+  const profile = parseBodyProfile(req.body);
+  if (profile.error) {
+    return res.status(400).json({ error: profile.error });
+  }
   
-  res.status(201).json(drink);
+  if (selfEstimate !== undefined) {
+    participant.selfEstimate = selfEstimate;
+  }
+  if (name !== undefined) {
+    participant.name = cleanName(name);
+  }
+  if (avatar !== undefined) {
+    participant.avatar = avatar.trim();
+  }
+  Object.assign(participant, profile.fields);
+  await persistItem('participants', participant, night);
+  
+  broadcastSSE('participant-updated', participant);
+  res.json(participant);
 });
 
-// Record consumption
-app.post('/consume', (req, res) => {
-  const { drinkName, participantId } = req.body;
+// Short-lived link that moves a participant to another device, e.g. a new phone
+app.post('/api/participants/:id/claim-token', requireRole('guest'), async (req, res) => {
+  const night = getActiveNight();
+  const participant = night.participants.find(p => p.id === req.params.id);
+  if (!participant) {
+    return res.status(404).json({ error: 'Participant not found' });
+  }
   
-  if (!drinkName) {
-    return res.status(400).json({ error: 'drinkName is required' });
+  if (!canActFor(req, participant.id)) {
+    return res.status(403).json({ error: 'Guests can only move themselves to another device' });
   }
   
-  // Verify drink exists
-  const drink = state.drinks.find(d => d.name === drinkName);
-  if (!drink) {
-    return res.status(404).json({ error: 'Drink not found' });
+  const expiresAt = Date.now() + CLAIM_TOKEN_TTL_SEC * 1000;
+  const token = signToken({ type: 'claim', participantId: participant.id, nonce: generateId(), expiresAt });
+  const claimUrl = `${getPublicBaseUrl()}/claim/${token}`;
+  res.status(201).json({
+    claimPath: `/claim/${token}`,
+    claimUrl,
+    qrSvg: await QRCode.toString(claimUrl, { type: 'svg', margin: 2, errorCorrectionLevel: 'M' }),
+    expiresAt: new Date(expiresAt).toISOString()
+  });
+});
+
+// Open a claim link: this device becomes the participant (each link works once)
+app.get('/claim/:token', async (req, res) => {
+  const payload = readToken(req.params.token);
+  const participant = payload && payload.type === 'claim'
+    ? getActiveNight().participants.find(p => p.id === payload.participantId)
+    : null;
+  if (!participant || usedClaimNonces.has(payload.nonce)) {
+    return res.status(404).send('This claim link is invalid, expired or already used.');
   }
   
-  const consumption = {
-    drinkName,
-    at: new Date().toISOString()
-  };
+  usedClaimNonces.forEach((expiresAt, nonce) => {
+    if (expiresAt < Date.now()) usedClaimNonces.delete(nonce);
+  });
+  usedClaimNonces.set(payload.nonce, payload.expiresAt);
   
-  // Include participantId if provided
-  if (participantId) {
-    consumption.participantId = participantId;
+  // Whoever handed out the link could log drinks, so the new device may too
+  if (!getRole(req)) {
+    await startRoleSession(req, 'guest');
+  }
+  bindParticipant(req, participant.id);
+  res.redirect('/control');
+});
+
+// Delete participant (protected)
+app.delete('/api/participants/:id', requireRole('admin'), async (req, res) => {
+  const { id } = req.params;
+  
+  const night = getActiveNight();
+  const participantIndex = night.participants.findIndex(p => p.id === id);
+  if (participantIndex === -1) {
+    return res.status(404).json({ error: 'Participant not found' });
   }
   
-  state.consumptions.push(consumption);
+  const participant = night.participants[participantIndex];
   
-  // Broadcast to all SSE clients
-  broadcastSSE('consumption', consumption);
+  // Remove participant
+  night.participants.splice(participantIndex, 1);
   
-  // Also send updated stats
-  const stats = getAggregatedStats();
-  broadcastSSE('stats', stats);
+  // Remove all predictions made by this participant
+  const removedPredictions = night.predictions.filter(p => p.predictorId === id || p.targetId === id);
+  night.predictions = night.predictions.filter(p => p.predictorId !== id && p.targetId !== id);
   
-  res.status(201).json(consumption);
+  // Remove all consumptions by this participant
+  const removedConsumptions = night.consumptions.filter(c => c.participantId === id);
+  night.consumptions = night.consumptions.filter(c => c.participantId !== id);
+  
+  // Rounds they paid for stay, just without a payer
+  const unpaidConsumptions = night.consumptions.filter(c => c.paidBy === id);
+  unpaidConsumptions.forEach(c => delete c.paidBy);
+  
+  await unpersistItems('participants', [id]);
+  await unpersistItems('predictions', removedPredictions.map(p => p.id));
+  await unpersistItems('consumptions', removedConsumptions.map(c => c.id));
+  for (const consumption of unpaidConsumptions) {
+    await persistItem('consumptions', consumption, night);
+  }
+  
+  broadcastSSE('participant-removed', { id });
+  res.json({ success: true, removed: participant });
 });
 
-// Record event
-app.post('/event', (req, res) => {
-  const { label, color } = req.body;
+// Merge a duplicate participant into another, e.g. "Tom" and "Thomas" (protected)
+// Drinks, rounds paid and predictions move over; the duplicate is removed.
+app.post('/api/participants/:id/merge', requireRole('admin'), async (req, res) => {
+  const { id } = req.params;
+  const { intoId } = req.body;
   
-  if (!label || label.trim() === '') {
-    return res.status(400).json({ error: 'Event label is required' });
+  const night = getActiveNight();
+  const duplicate = night.participants.find(p => p.id === id);
+  const target = night.participants.find(p => p.id === intoId);
+  if (!duplicate || !target) {
+    return res.status(404).json({ error: 'Participant not found' });
+  }
+  if (duplicate === target) {
+    return res.status(400).json({ error: 'Cannot merge a participant into themselves' });
   }
   
-  const event = {
-    label: label.trim(),
-    color: color || '#F59E0B', // Default amber color
-    at: new Date().toISOString()
-  };
+  const movedConsumptions = night.consumptions.filter(c => c.participantId === id || c.paidBy === id);
+  movedConsumptions.forEach(c => {
+    if (c.participantId === id) c.participantId = intoId;
+    if (c.paidBy === id) c.paidBy = intoId;
+  });
   
-  state.events.push(event);
+  // Where both made the same prediction the target's own stays; predictions about
+  // themselves (the two had predicted each other) are dropped
+  const movedPredictions = [];
+  const removedPredictions = [];
+  night.predictions.filter(p => p.predictorId === id || p.targetId === id).forEach(prediction => {
+    const moved = mapPredictionParticipants(prediction, participantId => participantId === id ? intoId : participantId);
+    const clashes = (moved.predictorId === moved.targetId && !getPredictionType(prediction).allowsSelf) ||
+      night.predictions.some(p => p !== prediction && isSamePrediction(p, moved));
+    if (clashes) {
+      removedPredictions.push(prediction);
+    } else {
+      Object.assign(prediction, moved);
+      movedPredictions.push(prediction);
+    }
+  });
+  night.predictions = night.predictions.filter(p => !removedPredictions.includes(p));
   
-  // Broadcast to all SSE clients
-  broadcastSSE('event', event);
+  // Profile details the target never gave come from the duplicate
+  ['avatar', 'weightKg', 'sex'].forEach(field => {
+    if (!target[field] && duplicate[field]) target[field] = duplicate[field];
+  });
+  night.participants = night.participants.filter(p => p !== duplicate);
   
-  // Also send updated stats
-  const stats = getAggregatedStats();
-  broadcastSSE('stats', stats);
+  await unpersistItems('participants', [id]);
+  await unpersistItems('predictions', removedPredictions.map(p => p.id));
+  await persistItem('participants', target, night);
+  for (const consumption of movedConsumptions) {
+    await persistItem('consumptions', consumption, night);
+  }
+  for (const prediction of movedPredictions) {
+    await persistItem('predictions', prediction, night);
+  }
   
-  res.status(201).json(event);
+  // Phones that joined as the duplicate now log for the target
+  await rebindParticipantSessions(id, intoId);
+  if (getSessionParticipantId(req) === id) {
+    bindParticipant(req, intoId);
+  }
+  
+  broadcastSSE('participant-merged', { fromId: id, intoId, participant: target });
+  res.json({
+    participant: target,
+    movedConsumptions: movedConsumptions.length,
+    movedPredictions: movedPredictions.length,
+    removedPredictions: removedPredictions.length
+  });
 });
 
-// Manual snapshot endpoints (protected)
-app.post('/api/snapshot', requireAuth, async (req, res) => {
-  try {
-    const filename = await saveSnapshot();
-    res.json({ message: 'Snapshot created', filename });
-  } catch (err) {
-    res.status(500).json({ error: 'Failed to create snapshot', details: err.message });
+// Prediction management (protected)
+// Admins see every prediction; everyone else only the ones made as their own participant
+app.get('/api/predictions', requireRole('guest'), (req, res) => {
+  const night = getRequestedNight(req);
+  if (!night) {
+    return res.status(404).json({ error: 'Night not found' });
   }
+  if (hasRole(req.role, 'admin')) {
+    return res.json(night.predictions);
+  }
+  const participantId = getSessionParticipantId(req);
+  res.json(night.predictions.filter(p => participantId && p.predictorId === participantId));
 });
 
-app.get('/api/snapshot/latest', requireAuth, async (req, res) => {
-  try {
-    if (!existsSync(SNAPSHOT_DIR)) {
-      return res.status(404).json({ error: 'No snapshots available' });
-    }
-    
-    const files = await readdir(SNAPSHOT_DIR);
-    const snapshots = files
-      .filter(f => f.startsWith('snapshot-') && f.endsWith('.json'))
-      .sort()
-      .reverse();
-    
-    if (snapshots.length === 0) {
-      return res.status(404).json({ error: 'No snapshots found' });
-    }
-    
-    const latestSnapshot = snapshots[0];
-    const snapshotPath = join(SNAPSHOT_DIR, latestSnapshot);
-    
-    res.download(snapshotPath, latestSnapshot);
-  } catch (err) {
-    res.status(500).json({ error: 'Failed to retrieve snapshot', details: err.message });
+// Every participant ranked by their points (see computeLeaderboard)
+app.get('/api/leaderboard', requireRole('guest'), (req, res) => {
+  const night = getRequestedNight(req);
+  if (!night) {
+    return res.status(404).json({ error: 'Night not found' });
   }
+  res.json({ rules: SCORING_RULES, leaderboard: computeLeaderboard(night) });
 });
 
-app.post('/api/snapshot/restore', requireAuth, async (req, res) => {
-  try {
-    const restored = await restoreSnapshot();
-    if (restored) {
-      // Broadcast updated stats to all clients
-      const stats = getAggregatedStats();
-      broadcastSSE('stats', stats);
-      
-      res.json({ message: 'Snapshot restored successfully' });
-    } else {
-      res.status(404).json({ error: 'No snapshot available to restore' });
+// Everyone who placed bets, ranked by their points
+app.get('/api/predictions/leaderboard', requireRole('guest'), (req, res) => {
+  const night = getRequestedNight(req);
+  if (!night) {
+    return res.status(404).json({ error: 'Night not found' });
+  }
+  
+  const context = getAwardContext(night);
+  const entries = Object.entries(context.betResults).map(([id, results]) => ({
+    participant: context.participantsById[id],
+    score: results.points,
+    metrics: results
+  }));
+  res.json(rankAwardEntries({}, entries).map(({ participant, rank, metrics }) => ({
+    rank,
+    participantId: participant.id,
+    name: participant.name,
+    avatar: participant.avatar,
+    points: roundMetric(metrics.points),
+    won: metrics.won,
+    lost: metrics.lost,
+    open: metrics.open
+  })));
+});
+
+// Make or change a prediction. type (default drinks) is one of PREDICTION_TYPES; the other
+// fields depend on it, e.g. { type: 'range', targetId, min, max }.
+app.post('/api/predictions', requireRole('guest'), async (req, res) => {
+  const { predictorId, type = 'drinks' } = req.body;
+  const predictionType = typeof type === 'string' ? PREDICTION_TYPES[type] : undefined;
+  
+  if (!predictionType) {
+    return res.status(400).json({ error: `type must be one of: ${Object.keys(PREDICTION_TYPES).join(', ')}` });
+  }
+  
+  if (!predictorId || !req.body.targetId) {
+    return res.status(400).json({ error: 'predictorId and targetId are required' });
+  }
+  
+  const fields = predictionType.parse(req.body);
+  if (fields.error) {
+    return res.status(400).json({ error: fields.error });
+  }
+  
+  // Prevent self-predictions
+  if (predictorId === fields.targetId && !predictionType.allowsSelf) {
+    return res.status(400).json({ error: 'Cannot predict your own drinks. Use self-estimate instead.' });
+  }
+  
+  // Validate that both participants exist
+  const night = getActiveNight();
+  const predictor = night.participants.find(p => p.id === predictorId);
+  const target = night.participants.find(p => p.id === fields.targetId);
+  
+  if (!predictor) {
+    return res.status(404).json({ error: 'Predictor not found' });
+  }
+  
+  if (!target) {
+    return res.status(404).json({ error: 'Target participant not found' });
+  }
+  
+  if (!canActFor(req, predictorId)) {
+    return res.status(403).json({ error: 'Guests can only predict as themselves' });
+  }
+  
+  if (arePredictionsLocked(night)) {
+    return res.status(403).json({ error: 'Predictions are locked' });
+  }
+  
+  // Every change is kept in the prediction's history (awards may score an earlier one)
+  const at = new Date().toISOString();
+  const candidate = { predictorId, type, ...fields };
+  const value = getPredictionValue(candidate);
+  const existing = night.predictions.find(p => isSamePrediction(p, candidate));
+  if (existing) {
+    if (predictionType.value.every(field => existing[field] === value[field])) {
+      return res.json(existing);
     }
-  } catch (err) {
-    res.status(500).json({ error: 'Failed to restore snapshot', details: err.message });
+    existing.history = [...getPredictionRevisions(existing), { ...value, at }];
+    Object.assign(existing, value, { at });
+    await persistItem('predictions', existing, night);
+    broadcastSSE('prediction-updated', existing);
+    return res.json(existing);
   }
+  
+  // Create new prediction
+  const prediction = {
+    id: generateId(),
+    ...candidate,
+    at,
+    history: [{ ...value, at }]
+  };
+  
+  night.predictions.push(prediction);
+  await persistItem('predictions', prediction, night);
+  broadcastSSE('prediction-added', prediction);
+  
+  res.status(201).json(prediction);
 });
 
-// New page routes
-app.get('/join', (req, res) => {
-  res.sendFile(join(__dirname, 'public', 'join.html'));
+// Event settings
+app.get('/api/event-settings', (req, res) => {
+  const night = getActiveNight();
+  res.json({
+    nightId: night.id,
+    nightName: night.name,
+    predictionsLocked: arePredictionsLocked(night),
+    predictionsLockAt: night.eventSettings.predictionsLockAt || null,
+    predictionsLockedAt: night.eventSettings.predictionsLockedAt || null,
+    bacWarningThreshold: getBacThreshold(night),
+    currency: getCurrency(night),
+    hasPasscode: !!state.auth.roles.admin.passcodeHash,
+    // Lets pages show what this device may do
+    role: getRole(req),
+    participantId: getSessionParticipantId(req),
+    participantName: (night.participants.find(p => p.id === getSessionParticipantId(req)) || {}).name || null
+  });
 });
 
-app.get('/predictions', (req, res) => {
-  res.sendFile(join(__dirname, 'public', 'predictions.html'));
+app.post('/api/event-settings/lock-predictions', requireRole('admin'), async (req, res) => {
+  const { locked } = req.body;
+  const night = getActiveNight();
+  
+  setPredictionsLocked(night, !!locked);
+  await persistNight(night);
+  const info = getPredictionsLockInfo(night);
+  broadcastSSE('predictions-lock-changed', info);
+  
+  res.json({ predictionsLocked: info.locked, predictionsLockAt: info.lockAt, predictionsLockedAt: info.lockedAt });
 });
 
-app.get('/matrix', (req, res) => {
-  res.sendFile(join(__dirname, 'public', 'matrix.html'));
+// Lock predictions automatically at a set time; null cancels the deadline
+app.post('/api/event-settings/predictions-deadline', requireRole('admin'), async (req, res) => {
+  const { lockAt } = req.body;
+  const night = getActiveNight();
+  
+  if (lockAt !== null) {
+    const time = new Date(lockAt).getTime();
+    if (typeof lockAt !== 'string' || isNaN(time)) {
+      return res.status(400).json({ error: 'lockAt must be a date or null' });
+    }
+    if (time <= Date.now()) {
+      return res.status(400).json({ error: 'lockAt must be in the future' });
+    }
+  }
+  
+  night.eventSettings.predictionsLockAt = lockAt === null ? null : new Date(lockAt).toISOString();
+  await persistNight(night);
+  schedulePredictionsLock();
+  const info = getPredictionsLockInfo(night);
+  broadcastSSE('predictions-lock-changed', info);
+  
+  res.json({ predictionsLocked: info.locked, predictionsLockAt: info.lockAt, predictionsLockedAt: info.lockedAt });
 });
 
-app.get('/awards', (req, res) => {
-  res.sendFile(join(__dirname, 'public', 'awards.html'));
+// How awards score predictions (see getPredictionScoring)
+app.get('/api/event-settings/prediction-scoring', requireRole('admin'), (req, res) => {
+  const night = getRequestedNight(req);
+  if (!night) {
+    return res.status(404).json({ error: 'Night not found' });
+  }
+  res.json(getPredictionScoring(night));
 });
 
-// Passcode management
-app.post('/api/passcode', (req, res) => {
-  const { passcode } = req.body;
+app.post('/api/event-settings/prediction-scoring', requireRole('admin'), async (req, res) => {
+  const { mode, latePenaltyPerHour } = req.body;
   
-  if (!passcode || passcode.trim() === '') {
-    return res.status(400).json({ error: 'Passcode is required' });
+  if (mode !== undefined && !PREDICTION_SCORING_MODES.includes(mode)) {
+    return res.status(400).json({ error: `mode must be one of: ${PREDICTION_SCORING_MODES.join(', ')}` });
   }
-  
-  // Only allow setting passcode if not already set
-  if (state.eventSettings.passcodeHash) {
-    return res.status(403).json({ error: 'Passcode already set. Cannot overwrite.' });
+  if (latePenaltyPerHour !== undefined && (typeof latePenaltyPerHour !== 'number' || !Number.isFinite(latePenaltyPerHour) || latePenaltyPerHour < 0 || latePenaltyPerHour > MAX_LATE_PENALTY_PER_HOUR)) {
+    return res.status(400).json({ error: `latePenaltyPerHour must be a number from 0 to ${MAX_LATE_PENALTY_PER_HOUR}` });
   }
   
-  state.eventSettings.passcodeHash = hashPasscode(passcode);
+  const night = getActiveNight();
+  const scoring = getPredictionScoring(night);
+  night.eventSettings.predictionScoring = {
+    mode: mode !== undefined ? mode : scoring.mode,
+    latePenaltyPerHour: latePenaltyPerHour !== undefined ? latePenaltyPerHour : scoring.latePenaltyPerHour
+  };
+  await persistNight(night);
   
-  // Terminate all SSE connections to force re-authentication
-  sseClients.forEach(client => {
-    try {
-      client.res.end();
-    } catch (err) {
-      console.error('Error closing SSE connection:', err);
-    }
-  });
-  sseClients = [];
+  broadcastSSE('prediction-scoring-changed', night.eventSettings.predictionScoring);
+  res.json(night.eventSettings.predictionScoring);
+});
+
+app.post('/api/event-settings/bac-threshold', requireRole('admin'), async (req, res) => {
+  const threshold = Number(req.body.threshold);
   
-  // Regenerate session and authenticate
-  req.session.regenerate((err) => {
-    if (err) {
-      console.error('Session regeneration error:', err);
-    }
-    req.session.authenticated = true;
-    res.json({ message: 'Passcode set successfully' });
-  });
+  if (req.body.threshold === undefined || !Number.isFinite(threshold) || threshold <= 0 || threshold > 5) {
+    return res.status(400).json({ error: 'threshold must be a BAC in ‰ between 0 and 5' });
+  }
+  
+  const night = getActiveNight();
+  night.eventSettings.bacWarningThreshold = threshold;
+  await persistNight(night);
+  broadcastSSE('bac-threshold-changed', { threshold });
+  
+  res.json({ bacWarningThreshold: threshold });
 });
 
-app.post('/api/passcode/verify', (req, res) => {
-  const { passcode } = req.body;
+app.post('/api/event-settings/currency', requireRole('admin'), async (req, res) => {
+  const currency = typeof req.body.currency === 'string' ? req.body.currency.trim().toUpperCase() : '';
   
-  if (!passcode) {
-    return res.status(400).json({ error: 'Passcode is required' });
+  if (!/^[A-Z]{3}$/.test(currency)) {
+    return res.status(400).json({ error: 'currency must be a three-letter code like EUR' });
   }
   
-  const valid = verifyPasscode(passcode);
+  const night = getActiveNight();
+  night.eventSettings.currency = currency;
+  await persistNight(night);
+  broadcastSSE('currency-changed', { currency });
   
-  // Regenerate session and authenticate if valid
-  if (valid) {
-    req.session.regenerate((err) => {
-      if (err) {
-        console.error('Session regeneration error:', err);
-      }
-      req.session.authenticated = true;
-      res.json({ valid });
-    });
-  } else {
-    res.json({ valid });
+  res.json({ currency });
+});
+
+// The bill for a night and who owes whom (protected)
+// ?paidBy=<participantId> names whoever settled the bill with the bar.
+app.get('/api/tab', requireRole('bartender'), (req, res) => {
+  const night = getRequestedNight(req);
+  if (!night) {
+    return res.status(404).json({ error: 'Night not found' });
+  }
+  if (req.query.paidBy && !night.participants.some(p => p.id === req.query.paidBy)) {
+    return res.status(404).json({ error: 'Participant not found' });
   }
+  
+  res.json(computeTab(night, req.query.paidBy));
 });
 
-// Avatar upload endpoint
-app.post('/api/upload-avatar', upload.single('avatar'), (req, res) => {
-  if (!req.file) {
-    return res.status(400).json({ error: 'No file uploaded' });
+app.get('/api/tab.csv', requireRole('bartender'), (req, res) => {
+  const night = getRequestedNight(req);
+  if (!night) {
+    return res.status(404).json({ error: 'Night not found' });
+  }
+  if (req.query.paidBy && !night.participants.some(p => p.id === req.query.paidBy)) {
+    return res.status(404).json({ error: 'Participant not found' });
   }
   
-  // Return the URL path to the uploaded file
-  const avatarUrl = `/uploads/avatars/${req.file.filename}`;
-  res.json({ avatarUrl });
+  const tab = computeTab(night, req.query.paidBy);
+  const filename = `tab-${night.name.replace(/[^a-zA-Z0-9-]+/g, '-')}.csv`;
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.send(getTabCsv(tab));
 });
 
-// Participant management (protected)
-app.get('/api/participants', requireAuth, (req, res) => {
-  res.json(state.participants);
+// End-of-night report: timeline, drinks per participant, prediction matrix, awards and events
+app.get('/api/report', requireRole('admin'), (req, res) => {
+  const night = getRequestedNight(req);
+  if (!night) {
+    return res.status(404).json({ error: 'Night not found' });
+  }
+  res.json(getReport(night, getAwardLanguage(req)));
 });
 
-app.post('/api/participants', (req, res) => {
-  const { name, avatar, selfEstimate } = req.body;
-  
-  if (!name || name.trim() === '') {
-    return res.status(400).json({ error: 'Name is required' });
+// The same report as a single HTML file that works offline
+app.get('/api/report/bundle', requireRole('admin'), async (req, res) => {
+  const night = getRequestedNight(req);
+  if (!night) {
+    return res.status(404).json({ error: 'Night not found' });
   }
   
-  // Check if participant with this name already exists
-  const existing = state.participants.find(p => p.name.toLowerCase() === name.trim().toLowerCase());
-  if (existing) {
-    // Update existing participant
-    existing.avatar = avatar || existing.avatar;
-    existing.selfEstimate = selfEstimate !== undefined ? selfEstimate : existing.selfEstimate;
-    
-    broadcastSSE('participant-updated', existing);
-    return res.json(existing);
+  try {
+    const bundle = await getReportBundle(getReport(night, getAwardLanguage(req)));
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="report-${night.name.replace(/[^a-zA-Z0-9-]+/g, '-')}.html"`);
+    res.send(bundle);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to build report', details: err.message });
   }
-  
-  // Create new participant
-  const participant = {
-    id: generateId(),
-    name: name.trim(),
-    avatar: avatar || '',
-    selfEstimate: selfEstimate || 0
-  };
-  
-  state.participants.push(participant);
-  broadcastSSE('participant-added', participant);
-  
-  res.status(201).json(participant);
 });
 
-app.patch('/api/participants/:id', (req, res) => {
-  const { id } = req.params;
-  const { selfEstimate } = req.body;
-  
-  const participant = state.participants.find(p => p.id === id);
-  if (!participant) {
-    return res.status(404).json({ error: 'Participant not found' });
+// A night's raw data for spreadsheets: ?scope=consumptions|participants|predictions|events|awards,
+// ?format=csv|json|ndjson, ?timezone=<IANA name> for the times (default EXPORT_TIMEZONE)
+app.get('/api/export', requireRole('guest'), (req, res) => {
+  const night = getRequestedNight(req);
+  if (!night) {
+    return res.status(404).json({ error: 'Night not found' });
   }
   
-  if (state.eventSettings.predictionsLocked) {
-    return res.status(403).json({ error: 'Predictions are locked' });
+  const scopeName = req.query.scope || 'consumptions';
+  const scope = Object.hasOwn(EXPORT_SCOPES, scopeName) ? EXPORT_SCOPES[scopeName] : null;
+  if (!scope) {
+    return res.status(400).json({ error: `scope must be one of: ${Object.keys(EXPORT_SCOPES).join(', ')}` });
+  }
+  const format = req.query.format || 'csv';
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+  }
+  const timeZone = req.query.timezone || EXPORT_TIMEZONE;
+  if (!isTimeZone(timeZone)) {
+    return res.status(400).json({ error: 'timezone must be a time zone name such as Europe/Berlin' });
+  }
+  if (!hasRole(req.role, scope.role)) {
+    return res.status(403).json({ error: `Exporting ${scopeName} needs the ${scope.role} role` });
   }
   
-  if (selfEstimate !== undefined) {
-    participant.selfEstimate = selfEstimate;
+  const names = new Map(night.participants.map(p => [p.id, p.name]));
+  const rows = scope.rows(night, {
+    time: at => formatInTimeZone(at, timeZone),
+    name: id => (id ? names.get(id) ?? null : null),
+    lang: getAwardLanguage(req)
+  });
+  
+  const filename = `${night.name.replace(/[^a-zA-Z0-9-]+/g, '-')}-${scopeName}.${format}`;
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  if (format === 'json') {
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.send(JSON.stringify(rows, null, 2));
+  } else if (format === 'ndjson') {
+    res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+    res.send(rows.map(row => JSON.stringify(row) + '\n').join(''));
+  } else {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    const lines = [scope.columns, ...rows.map(row => scope.columns.map(column => row[column]))];
+    res.send(lines.map(line => line.map(toCsvField).join(',')).join('\r\n') + '\r\n');
+  }
+});
+
+// Standard drinks and estimated BAC for everyone in a night (protected)
+app.get('/api/bac', requireRole('bartender'), (req, res) => {
+  const night = getRequestedNight(req);
+  if (!night) {
+    return res.status(404).json({ error: 'Night not found' });
   }
   
-  broadcastSSE('participant-updated', participant);
-  res.json(participant);
+  res.json({
+    threshold: getBacThreshold(night),
+    standardDrinkGrams: STANDARD_DRINK_GRAMS,
+    participants: night.participants.map(p => getBacReport(p, night))
+  });
 });
 
-// Delete participant (protected)
-app.delete('/api/participants/:id', requireAuth, (req, res) => {
-  const { id } = req.params;
+// A single participant's estimate (what control.html shows to the drinker)
+app.get('/api/bac/:participantId', requireRole('guest'), (req, res) => {
+  const night = getRequestedNight(req);
+  if (!night) {
+    return res.status(404).json({ error: 'Night not found' });
+  }
   
-  const participantIndex = state.participants.findIndex(p => p.id === id);
-  if (participantIndex === -1) {
+  const participant = night.participants.find(p => p.id === req.params.participantId);
+  if (!participant) {
     return res.status(404).json({ error: 'Participant not found' });
   }
   
-  const participant = state.participants[participantIndex];
-  
-  // Remove participant
-  state.participants.splice(participantIndex, 1);
-  
-  // Remove all predictions made by this participant
-  state.predictions = state.predictions.filter(p => p.predictorId !== id && p.targetId !== id);
-  
-  // Remove all consumptions by this participant
-  state.consumptions = state.consumptions.filter(c => c.participantId !== id);
+  if (!canActFor(req, participant.id)) {
+    return res.status(403).json({ error: 'Guests can only see their own estimate' });
+  }
   
-  broadcastSSE('participant-removed', { id });
-  res.json({ success: true, removed: participant });
+  res.json({
+    threshold: getBacThreshold(night),
+    standardDrinkGrams: STANDARD_DRINK_GRAMS,
+    weightKg: participant.weightKg || null,
+    sex: participant.sex || null,
+    ...getBacReport(participant, night)
+  });
 });
 
-// Prediction management (protected)
-app.get('/api/predictions', requireAuth, (req, res) => {
-  res.json(state.predictions);
+// Nights (one per bar night; only the active night records new data)
+app.get('/api/nights', requireRole('guest'), (req, res) => {
+  res.json(state.nights.map(getNightSummary));
 });
 
-app.post('/api/predictions', (req, res) => {
-  const { predictorId, targetId, predictedDrinks } = req.body;
-  
-  if (!predictorId || !targetId) {
-    return res.status(400).json({ error: 'predictorId and targetId are required' });
-  }
-  
-  if (predictedDrinks === undefined || predictedDrinks === null) {
-    return res.status(400).json({ error: 'predictedDrinks is required' });
+app.get('/api/nights/:id', requireRole('guest'), (req, res) => {
+  const night = state.nights.find(n => n.id === req.params.id);
+  if (!night) {
+    return res.status(404).json({ error: 'Night not found' });
   }
+  res.json(getNightSummary(night));
+});
+
+app.post('/api/nights', requireRole('admin'), async (req, res) => {
+  const { name, activate } = req.body;
   
-  // Prevent self-predictions
-  if (predictorId === targetId) {
-    return res.status(400).json({ error: 'Cannot predict your own drinks. Use self-estimate instead.' });
+  if (name !== undefined && name !== null && typeof name !== 'string') {
+    return res.status(400).json({ error: 'Night name must be text' });
   }
   
-  // Validate that both participants exist
-  const predictor = state.participants.find(p => p.id === predictorId);
-  const target = state.participants.find(p => p.id === targetId);
+  const night = createNight(name && name.trim() !== '' ? name.trim() : getDefaultNightName());
+  state.nights.push(night);
+  await persistNight(night);
+  broadcastSSE('night-created', getNightSummary(night));
   
-  if (!predictor) {
-    return res.status(404).json({ error: 'Predictor not found' });
+  // New nights become active unless explicitly asked not to
+  if (activate !== false) {
+    await switchNight(night);
   }
   
-  if (!target) {
-    return res.status(404).json({ error: 'Target participant not found' });
+  res.status(201).json(getNightSummary(night));
+});
+
+app.post('/api/nights/:id/activate', requireRole('admin'), async (req, res) => {
+  const night = state.nights.find(n => n.id === req.params.id);
+  if (!night) {
+    return res.status(404).json({ error: 'Night not found' });
   }
   
-  if (state.eventSettings.predictionsLocked) {
-    return res.status(403).json({ error: 'Predictions are locked' });
+  if (night.archivedAt) {
+    return res.status(409).json({ error: 'Archived nights are read-only' });
   }
   
-  // Check if prediction already exists
-  const existing = state.predictions.find(p => p.predictorId === predictorId && p.targetId === targetId);
-  if (existing) {
-    existing.predictedDrinks = predictedDrinks;
-    broadcastSSE('prediction-updated', existing);
-    return res.json(existing);
+  if (night.id !== state.activeNightId) {
+    await switchNight(night);
   }
   
-  // Create new prediction
-  const prediction = {
-    id: generateId(),
-    predictorId,
-    targetId,
-    predictedDrinks
-  };
-  
-  state.predictions.push(prediction);
-  broadcastSSE('prediction-added', prediction);
-  
-  res.status(201).json(prediction);
-});
-
-// Event settings
-app.get('/api/event-settings', (req, res) => {
-  res.json({
-    predictionsLocked: state.eventSettings.predictionsLocked,
-    hasPasscode: !!state.eventSettings.passcodeHash
-  });
+  res.json(getNightSummary(night));
 });
 
-app.post('/api/event-settings/lock-predictions', requireAuth, (req, res) => {
-  const { locked } = req.body;
+app.post('/api/nights/:id/archive', requireRole('admin'), async (req, res) => {
+  const night = state.nights.find(n => n.id === req.params.id);
+  if (!night) {
+    return res.status(404).json({ error: 'Night not found' });
+  }
+  
+  if (night.id === state.activeNightId) {
+    return res.status(409).json({ error: 'Cannot archive the active night. Switch to another night first.' });
+  }
   
-  state.eventSettings.predictionsLocked = !!locked;
-  broadcastSSE('predictions-lock-changed', { locked: state.eventSettings.predictionsLocked });
+  if (!night.archivedAt) {
+    night.archivedAt = new Date().toISOString();
+    await persistNight(night);
+    broadcastSSE('night-archived', getNightSummary(night));
+  }
   
-  res.json({ predictionsLocked: state.eventSettings.predictionsLocked });
+  res.json(getNightSummary(night));
 });
 
 // Consumption with participant tracking
-app.post('/api/consume-participant', (req, res) => {
+app.post('/api/consume-participant', requireRole('guest'), async (req, res) => {
   const { drinkName, participantId } = req.body;
   
   if (!drinkName) {
@@ -1207,119 +4760,444 @@ app.post('/api/consume-participant', (req, res) => {
     return res.status(400).json({ error: 'participantId is required' });
   }
   
-  // Verify drink exists
-  const drink = state.drinks.find(d => d.name === drinkName);
+  // Verify drink exists (archived drinks can't be logged any more)
+  const drink = state.drinks.find(d => d.name === drinkName && !d.archivedAt);
   if (!drink) {
     return res.status(404).json({ error: 'Drink not found' });
   }
   
   // Verify participant exists
-  const participant = state.participants.find(p => p.id === participantId);
+  const night = getActiveNight();
+  const participant = night.participants.find(p => p.id === participantId);
   if (!participant) {
     return res.status(404).json({ error: 'Participant not found' });
   }
   
+  if (!canActFor(req, participantId)) {
+    return res.status(403).json({ error: 'Guests can only log their own drinks' });
+  }
+  
+  const bacBefore = getBacReport(participant, night).bac;
   const consumption = {
+    id: generateId(),
     drinkName,
     participantId,
     at: new Date().toISOString()
   };
   
-  state.consumptions.push(consumption);
+  night.consumptions.push(consumption);
+  await persistItem('consumptions', consumption, night);
+  rememberUndoable(req, consumption);
   
   // Broadcast to all SSE clients
   broadcastSSE('consumption', consumption);
   
   // Also send updated stats
-  const stats = getAggregatedStats();
-  broadcastSSE('stats', stats);
+  broadcastSSE('stats', getStatsSignal());
+  
+  broadcastBacWarning(participant, bacBefore, night);
   
   res.status(201).json(consumption);
 });
 
+// Correct a consumption (protected)
+app.patch('/api/consumptions/:id', requireRole('bartender'), async (req, res) => {
+  const { id } = req.params;
+  const { drinkName, participantId, at } = req.body;
+  
+  const night = getActiveNight();
+  const consumption = night.consumptions.find(c => c.id === id);
+  if (!consumption) {
+    return res.status(404).json({ error: 'Consumption not found' });
+  }
+  
+  // Validate everything before changing anything
+  if (drinkName !== undefined && drinkName !== consumption.drinkName &&
+      !state.drinks.some(d => d.name === drinkName && !d.archivedAt)) {
+    return res.status(404).json({ error: 'Drink not found' });
+  }
+  
+  if (participantId && !night.participants.some(p => p.id === participantId)) {
+    return res.status(404).json({ error: 'Participant not found' });
+  }
+  
+  let timestamp;
+  if (at !== undefined) {
+    timestamp = new Date(at);
+    if (isNaN(timestamp.getTime())) {
+      return res.status(400).json({ error: 'at must be a valid date' });
+    }
+    if (timestamp.getTime() > Date.now()) {
+      return res.status(400).json({ error: 'at cannot be in the future' });
+    }
+  }
+  
+  if (drinkName !== undefined) {
+    consumption.drinkName = drinkName;
+  }
+  
+  // null or empty string detaches the consumption from its participant
+  if (participantId !== undefined) {
+    if (participantId) {
+      consumption.participantId = participantId;
+    } else {
+      delete consumption.participantId;
+    }
+  }
+  
+  if (timestamp) {
+    consumption.at = timestamp.toISOString();
+  }
+  await persistItem('consumptions', consumption, night);
+  
+  broadcastSSE('consumption-updated', consumption);
+  
+  // Also send updated stats
+  broadcastSSE('stats', getStatsSignal());
+  
+  res.json(consumption);
+});
+
+// Delete a consumption. Guests may undo a fresh consumption of their own (the
+// control panel's "Undo" toast); anything else needs a bartender or admin.
+app.delete('/api/consumptions/:id', requireRole('guest'), async (req, res) => {
+  const { id } = req.params;
+  
+  const night = getActiveNight();
+  const consumptionIndex = night.consumptions.findIndex(c => c.id === id);
+  if (consumptionIndex === -1) {
+    return res.status(404).json({ error: 'Consumption not found' });
+  }
+  
+  const consumption = night.consumptions[consumptionIndex];
+  const age = Date.now() - new Date(consumption.at).getTime();
+  
+  // Ids go out over SSE, so guests must have logged the drink themselves (anonymous ones too)
+  if (!hasRole(req.role, 'bartender') &&
+      (!isUndoable(req, consumption.id) || (consumption.participantId && !canActFor(req, consumption.participantId)))) {
+    return res.status(403).json({ error: 'Guests can only undo their own drinks' });
+  }
+  
+  if (age > UNDO_WINDOW_SEC * 1000 && !hasRole(req.role, 'bartender')) {
+    return res.status(401).json({ error: 'Undo window expired. Please verify passcode.' });
+  }
+  
+  night.consumptions.splice(consumptionIndex, 1);
+  await unpersistItems('consumptions', [consumption.id]);
+  
+  broadcastSSE('consumption-removed', consumption);
+  
+  // Also send updated stats
+  broadcastSSE('stats', getStatsSignal());
+  
+  res.json({ success: true, removed: consumption });
+});
+
+// Log a round: several consumptions at once, each participant with their own drink
+// Body: { items: [{ participantId, drinkName }], paidBy?: participantId }
+app.post('/api/rounds', requireRole('bartender'), async (req, res) => {
+  const { items, paidBy } = req.body;
+  
+  if (!Array.isArray(items) || items.length === 0) {
+    return res.status(400).json({ error: 'items must be a non-empty array' });
+  }
+  
+  if (items.length > MAX_ROUND_SIZE) {
+    return res.status(400).json({ error: `A round can have at most ${MAX_ROUND_SIZE} drinks` });
+  }
+  
+  const night = getActiveNight();
+  
+  // Validate everything before recording anything
+  for (const item of items) {
+    if (!item || !item.drinkName || !item.participantId) {
+      return res.status(400).json({ error: 'Every item needs a drinkName and a participantId' });
+    }
+    if (!state.drinks.some(d => d.name === item.drinkName && !d.archivedAt)) {
+      return res.status(404).json({ error: `Drink not found: ${item.drinkName}` });
+    }
+    if (!night.participants.some(p => p.id === item.participantId)) {
+      return res.status(404).json({ error: 'Participant not found' });
+    }
+  }
+  
+  if (paidBy && !night.participants.some(p => p.id === paidBy)) {
+    return res.status(404).json({ error: 'Payer not found' });
+  }
+  
+  const participants = night.participants.filter(p => items.some(item => item.participantId === p.id));
+  const bacBefore = new Map(participants.map(p => [p.id, getBacReport(p, night).bac]));
+  
+  const roundId = generateId();
+  const at = new Date().toISOString();
+  const consumptions = items.map(item => {
+    const consumption = {
+      id: generateId(),
+      drinkName: item.drinkName,
+      participantId: item.participantId,
+      roundId,
+      at
+    };
+    if (paidBy) {
+      consumption.paidBy = paidBy;
+    }
+    return consumption;
+  });
+  
+  night.consumptions.push(...consumptions);
+  for (const consumption of consumptions) {
+    await persistItem('consumptions', consumption, night);
+  }
+  
+  // One event for the whole round rather than one per drink
+  const round = { id: roundId, paidBy: paidBy || null, at, consumptions };
+  broadcastSSE('round', round);
+  
+  // Also send updated stats
+  broadcastSSE('stats', getStatsSignal());
+  
+  participants.forEach(participant => {
+    broadcastBacWarning(participant, bacBefore.get(participant.id), night);
+  });
+  
+  res.status(201).json(round);
+});
+
+// Undo a whole round
+app.delete('/api/rounds/:id', requireRole('bartender'), async (req, res) => {
+  const { id } = req.params;
+  
+  const night = getActiveNight();
+  const consumptions = night.consumptions.filter(c => c.roundId === id);
+  if (consumptions.length === 0) {
+    return res.status(404).json({ error: 'Round not found' });
+  }
+  
+  night.consumptions = night.consumptions.filter(c => c.roundId !== id);
+  await unpersistItems('consumptions', consumptions.map(c => c.id));
+  
+  const round = { id, paidBy: consumptions[0].paidBy || null, at: consumptions[0].at, consumptions };
+  broadcastSSE('round-removed', round);
+  
+  // Also send updated stats
+  broadcastSSE('stats', getStatsSignal());
+  
+  res.json({ success: true, removed: round });
+});
+
 // Awards
-app.get('/api/awards', (req, res) => {
-  const awards = computeAwards();
-  res.json(awards);
+app.get('/api/awards', requireRole('guest'), (req, res) => {
+  const night = getRequestedNight(req);
+  if (!night) {
+    return res.status(404).json({ error: 'Night not found' });
+  }
+  const awards = computeAwards(night, getAwardLanguage(req));
+  res.json(awards.map(award => filterAwardForRole(award, req.role)));
+});
+
+// Which awards a night hands out and their thresholds (protected)
+app.get('/api/awards/config', requireRole('admin'), (req, res) => {
+  const night = getRequestedNight(req);
+  if (!night) {
+    return res.status(404).json({ error: 'Night not found' });
+  }
+  const lang = getAwardLanguage(req);
+  res.json(AWARD_DEFINITIONS.map(definition => getAwardSettings(night, definition, lang)));
+});
+
+// Turn an award on or off and tune its parameters for the active night
+// Body: { enabled?: boolean, params?: { [name]: number | null } } - null restores the default.
+app.patch('/api/awards/config/:id', requireRole('admin'), async (req, res) => {
+  const definition = AWARD_DEFINITIONS.find(d => d.id === req.params.id);
+  if (!definition) {
+    return res.status(404).json({ error: 'Award not found' });
+  }
+  
+  const change = parseAwardConfig(definition, req.body);
+  if (change.error) {
+    return res.status(400).json({ error: change.error });
+  }
+  
+  const night = getActiveNight();
+  const awards = night.eventSettings.awards || {};
+  const override = awards[definition.id] || {};
+  if (change.enabled !== undefined) {
+    override.enabled = change.enabled;
+  }
+  if (change.params) {
+    override.params = { ...override.params, ...change.params };
+    Object.keys(override.params).forEach(key => {
+      if (override.params[key] === null) delete override.params[key];
+    });
+  }
+  awards[definition.id] = override;
+  night.eventSettings.awards = awards;
+  await persistNight(night);
+  
+  const settings = getAwardSettings(night, definition, getAwardLanguage(req));
+  broadcastSSE('awards-config-changed', settings);
+  res.json(settings);
 });
 
 // Network info
-app.get('/api/network-info', (req, res) => {
+app.get('/api/network-info', requireRole('guest'), (req, res) => {
   const lanIp = getLanIp();
   res.json({ 
     lanIp,
-    port: PORT
+    port: PORT,
+    joinUrl: getJoinUrl()
   });
 });
 
-// Historical stats (for cumulative view)
-app.get('/api/stats/historical', (req, res) => {
-  const stats = getAllHistoricalStats();
+// Historical stats (every minute bucket of the night; /api/stats covers any range)
+app.get('/api/stats/historical', requireRole('guest'), (req, res) => {
+  const night = getRequestedNight(req);
+  if (!night) {
+    return res.status(404).json({ error: 'Night not found' });
+  }
+  const groupBy = getRequestedGroupBy(req);
+  if (!groupBy) {
+    return res.status(400).json({ error: `groupBy must be one of: ${STATS_GROUPINGS.join(', ')}` });
+  }
+  const stats = getAllHistoricalStats(night, groupBy);
   res.json(stats);
 });
 
-// Authentication middleware for protected routes
-function requireAuth(req, res, next) {
-  // If no passcode is set, allow access
-  if (!state.eventSettings.passcodeHash) {
-    return next();
+// Drink counts over any time range: ?from=&to= (ISO 8601 or epoch ms, default the whole night),
+// ?bucket=1m|5m|15m|1h, ?groupBy=drink|category|participant
+app.get('/api/stats', requireRole('guest'), (req, res) => {
+  const night = getRequestedNight(req);
+  if (!night) {
+    return res.status(404).json({ error: 'Night not found' });
+  }
+  
+  const groupBy = req.query.groupBy || 'drink';
+  if (!Object.hasOwn(STATS_SERIES, groupBy)) {
+    return res.status(400).json({ error: `groupBy must be one of: ${Object.keys(STATS_SERIES).join(', ')}` });
+  }
+  // Only bartenders and admins see who drank what
+  if (groupBy === 'participant' && !hasRole(req.role, 'bartender')) {
+    return res.status(403).json({ error: 'Stats per participant need the bartender role' });
+  }
+  const bucket = req.query.bucket || '1m';
+  if (!Object.hasOwn(STATS_BUCKETS, bucket)) {
+    return res.status(400).json({ error: `bucket must be one of: ${Object.keys(STATS_BUCKETS).join(', ')}` });
   }
   
-  // Check session authentication
-  if (req.session && req.session.authenticated) {
-    return next();
+  const span = getNightSpan(night);
+  const to = parseStatsTime(req.query.to) ?? span.to;
+  const from = parseStatsTime(req.query.from) ?? Math.min(span.from, to);
+  if (Number.isNaN(from) || Number.isNaN(to)) {
+    return res.status(400).json({ error: 'from and to must be ISO 8601 times or epoch milliseconds' });
+  }
+  if (from > to) {
+    return res.status(400).json({ error: 'from must not be after to' });
+  }
+  const size = STATS_BUCKETS[bucket];
+  if (Math.floor(to / size) - Math.floor(from / size) + 1 > MAX_STATS_BUCKETS) {
+    return res.status(400).json({ error: `That range needs more than ${MAX_STATS_BUCKETS} buckets. Pick a larger bucket or a shorter range.` });
   }
   
-  // Unauthorized
-  return res.status(401).json({ error: 'Unauthorized. Please verify passcode.' });
+  res.json(getStatsSeries(night, { from, to, bucket, groupBy }));
+});
+
+app.get('/api/drink-categories', requireRole('guest'), (req, res) => {
+  res.json(getDrinkCategories());
+});
+
+// Authentication middleware for protected routes
+// Only lets a role (or a higher one) through and sets req.role
+function requireRole(required) {
+  return (req, res, next) => {
+    const role = getRole(req);
+    if (!role) {
+      return res.status(401).json({ error: 'Unauthorized. Please verify passcode.' });
+    }
+    if (!hasRole(role, required)) {
+      return res.status(403).json({ error: `This needs the ${required} role` });
+    }
+    req.role = role;
+    next();
+  };
+}
+
+// Turns passcode checks away while the IP or session is locked out
+function limitPasscodeAttempts(req, res, next) {
+  const retryAfter = getPasscodeLockout(req);
+  if (retryAfter > 0) {
+    res.setHeader('Retry-After', retryAfter);
+    return res.status(429).json({ error: `Too many wrong passcodes. Try again in ${Math.ceil(retryAfter / 60)} min.`, retryAfter });
+  }
+  next();
 }
 
 // Matrix data (protected route)
-app.get('/api/matrix-data', requireAuth, (req, res) => {
-  const participants = state.participants;
-  const predictions = state.predictions;
-  
-  // Build matrix data
-  const matrix = participants.map(target => {
-    const actualDrinks = getParticipantDrinkCount(target.id);
-    const selfEstimate = target.selfEstimate;
-    
-    const predictionsForTarget = {};
-    predictions.forEach(pred => {
-      if (pred.targetId === target.id) {
-        predictionsForTarget[pred.predictorId] = pred.predictedDrinks;
-      }
-    });
-    
-    return {
-      target: {
-        id: target.id,
-        name: target.name,
-        avatar: target.avatar
-      },
-      actualDrinks,
-      selfEstimate,
-      predictions: predictionsForTarget
-    };
-  });
+app.get('/api/matrix-data', requireRole('admin'), (req, res) => {
+  const night = getRequestedNight(req);
+  if (!night) {
+    return res.status(404).json({ error: 'Night not found' });
+  }
   
   res.json({
-    matrix,
-    predictors: participants.map(p => ({ id: p.id, name: p.name, avatar: p.avatar })),
-    predictionsLocked: state.eventSettings.predictionsLocked
+    ...getPredictionMatrix(night),
+    predictionsLocked: arePredictionsLocked(night),
+    predictionsLockAt: night.eventSettings.predictionsLockAt || null,
+    night: getNightSummary(night)
   });
 });
 
 // Startup
 async function start() {
-  // Restore from snapshot
-  await restoreSnapshot();
+  // Load from the database; on first boot migrate the newest snapshot into it
+  let loaded = false;
+  let databaseEmpty = false;
+  try {
+    await ensureSchema();
+    loaded = await loadStateFromDatabase();
+    databaseEmpty = !loaded;
+  } catch (err) {
+    // Don't initialize the database later - it may just be unreachable right now. It can
+    // miss journaled changes, though, so it is written in full once it is back.
+    databaseInSync = false;
+    console.error('✗ Database load failed:', err.message);
+    console.log('Falling back to snapshots');
+  }
+  
+  if (loaded) {
+    // Catch up on changes that were journaled but may not have reached the database
+    const replayed = replayJournal();
+    if (replayed > 0) {
+      console.log(`✓ Replayed ${replayed} journal records`);
+      await persistFullState();
+    }
+  } else {
+    await restoreSnapshot();
+  }
+  
+  // Make sure there is always a night to record into
+  if (!getActiveNight()) {
+    const night = createNight(getDefaultNightName());
+    state.nights.push(night);
+    state.activeNightId = night.id;
+  }
+  
+  if (databaseEmpty) {
+    await persistFullState();
+    console.log('✓ Database initialized from current state');
+  }
   
   // Setup automatic snapshots
   setInterval(async () => {
     await saveSnapshot();
   }, SNAPSHOT_INTERVAL_SEC * 1000);
   
+  // Predictions lock by themselves at the active night's deadline (right away if it passed while we were down)
+  schedulePredictionsLock();
+  
+  // Uploaded avatars nobody uses any more are cleaned up now and then
+  await sweepOrphanedAvatars();
+  setInterval(sweepOrphanedAvatars, AVATAR_SWEEP_INTERVAL_SEC * 1000);
+  
   // Start server
   app.listen(PORT, '0.0.0.0', () => {
     const lanIp = getLanIp();
@@ -1334,7 +5212,11 @@ async function start() {
     console.log(`   Local:   http://localhost:${PORT}/dashboard`);
     console.log(`   Network: http://${lanIp}:${PORT}/dashboard\n`);
     console.log(`⚙️  Auto-snapshots: every ${SNAPSHOT_INTERVAL_SEC}s → ${SNAPSHOT_DIR}/`);
-    console.log(`📦 Loaded: ${state.drinks.length} drinks, ${state.consumptions.length} consumptions, ${state.events.length} events\n`);
+    const night = getActiveNight();
+    console.log(`🌙 Active night: ${night.name}`);
+    console.log(`📦 Loaded: ${state.drinks.length} drinks, ${night.consumptions.length} consumptions, ${night.events.length} events\n`);
+    console.log(`🔑 Admin passcode reset token: ${passcodeResetToken}`);
+    console.log('   Forgot the passcode? Use it on the matrix page (or POST /api/passcode/reset).\n');
   });
 }
 